@@ -0,0 +1,512 @@
+/**
+   @license Copyright (c) 2016-2020 Yebo Technologies Inc.
+   @prettier
+
+   Reference extraction for recache.
+
+   Each extractor scans a whole file and returns the references it finds as
+   {start, end, ref, kind} records sorted by start, where text.substring(start, end) === ref.
+   Rewriting only those offsets leaves other occurrences of the same text alone.
+
+   Kinds:
+     html:   attribute name, e.g. 'src', 'href', 'srcset', 'poster', 'data-src'
+     css:    'url', 'css-import', 'image-set'
+     js:     'import', 'dynamic-import', 'url', 'importScripts', 'string'
+     js, css: 'sourcemap' for a sourceMappingURL comment
+     map:    'file', 'source' for the file and sources fields of a source map
+     json:   the last key of a JSON pointer pattern's match, e.g. 'uri', or 'string'
+     other:  'string'
+   'string' references are only candidates: quoted text that looks like a file name.
+*/
+/* jshint maxcomplexity:false */
+
+// Quoted text that looks like a file name, optionally with loader prefixes.  Same shape as
+// the original single line pattern, applied to whole files.
+const stringPattern = /['"`](async:)?(module:)?(async:)?(css:)?([$][{].*?[}])?(= )?([a-zA-Z0-9/\.@% _()+,=\-]{1,}[.][a-zA-Z0-9\- _()]+)[`'"\\]/g;
+const pathPattern = /^(?:async:|module:|css:)*([a-zA-Z0-9/\.@% _()+,=\-]{1,}[.][a-zA-Z0-9\- _()]+)$/;
+const regexPrecedingWords = [
+  'return',
+  'typeof',
+  'instanceof',
+  'in',
+  'of',
+  'new',
+  'delete',
+  'void',
+  'throw',
+  'case',
+  'do',
+  'else',
+  'yield',
+  'await',
+];
+// A regex can follow the ) of these, as in if (x) /y/.test(z), but not that of a call.
+const controlKeywords = ['if', 'while', 'for', 'with'];
+const htmlAttributes = ['src', 'href', 'poster'];
+const srcsetAttributes = ['srcset', 'imagesrcset'];
+
+// True for references that are not local files: absolute, protocol-relative, fragment or data URLs.
+function isExternal(ref) {
+  return !ref || ref.startsWith('//') || ref.startsWith('#') || /^[a-zA-Z][a-zA-Z0-9+.\-]*:/.test(ref);
+}
+
+// Trim whitespace from a [start, end) range of text.
+function trimRange(text, start, end) {
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  return [start, end];
+}
+
+function pushRef(refs, text, start, end, kind, base) {
+  const ref = text.substring(start, end);
+  if (ref) refs.push({start: base + start, end: base + end, ref, kind});
+}
+
+// Quoted strings that look like file names, for formats without a dedicated extractor.
+function extractQuoted(text, base = 0, refs = []) {
+  const pattern = new RegExp(stringPattern.source, 'g');
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const eqs = match[6];
+    const ms = match[7];
+    if (!eqs) {
+      const end = match.index + match[0].length - 1;
+      pushRef(refs, text, end - ms.length, end, 'string', base);
+    }
+    // Allow the closing quote to open the next match.
+    pattern.lastIndex = match.index + match[0].length - 1;
+  }
+  return refs;
+}
+
+// Split JavaScript into string, template, identifier and punctuation tokens, skipping
+// comments and regular expression literals.
+function jsTokens(text) {
+  const tokens = [];
+  const n = text.length;
+  let x = 0;
+  const parens = []; // for each open (, whether a control keyword came before it
+  const last = () => tokens[tokens.length - 1];
+  const regexAllowed = () => {
+    const prev = last();
+    if (!prev) return true;
+    if (prev.type === 'punc' && prev.value === ')') return !!prev.control;
+    if (prev.type === 'punc') return !/^[\]}]$/.test(prev.value);
+    if (prev.type === 'id') return regexPrecedingWords.includes(prev.value);
+    return false;
+  };
+  while (x < n) {
+    const c = text[x];
+    if (/\s/.test(c)) {
+      x++;
+    } else if (c === '/' && text[x + 1] === '/') {
+      while (x < n && text[x] !== '\n') x++;
+    } else if (c === '/' && text[x + 1] === '*') {
+      const close = text.indexOf('*/', x + 2);
+      x = close < 0 ? n : close + 2;
+    } else if (c === '/' && regexAllowed()) {
+      let inClass = false;
+      for (x++; x < n && text[x] !== '\n'; x++) {
+        if (text[x] === '\\') x++;
+        else if (text[x] === '[') inClass = true;
+        else if (text[x] === ']') inClass = false;
+        else if (text[x] === '/' && !inClass) break;
+      }
+      for (x++; x < n && /[a-z]/.test(text[x]); x++);
+      tokens.push({type: 'regex'});
+    } else if (c === '"' || c === "'") {
+      const start = x + 1;
+      for (x++; x < n && text[x] !== c && text[x] !== '\n'; x++) {
+        if (text[x] === '\\') x++;
+      }
+      tokens.push({type: 'str', start, end: x, value: text.substring(start, x)});
+      x++;
+    } else if (c === '`') {
+      // Only the text after the last substitution is a reference candidate.
+      let start = x + 1;
+      let depth = 0;
+      for (x++; x < n && (depth || text[x] !== '`'); x++) {
+        if (text[x] === '\\') x++;
+        else if (text[x] === '$' && text[x + 1] === '{') {
+          depth++;
+          x++;
+        } else if (depth && text[x] === '{') depth++;
+        else if (depth && text[x] === '}' && !--depth) start = x + 1;
+      }
+      tokens.push({type: 'str', start, end: x, value: text.substring(start, x)});
+      x++;
+    } else if (/[A-Za-z_$]/.test(c)) {
+      const start = x;
+      while (x < n && /[A-Za-z0-9_$]/.test(text[x])) x++;
+      tokens.push({type: 'id', value: text.substring(start, x)});
+    } else if (/[0-9]/.test(c)) {
+      while (x < n && /[0-9a-zA-Z_.]/.test(text[x])) x++;
+      tokens.push({type: 'num'});
+    } else {
+      const token = {type: 'punc', value: c};
+      const prev = last();
+      if (c === '(') parens.push(!!prev && prev.type === 'id' && controlKeywords.includes(prev.value));
+      else if (c === ')') token.control = parens.pop();
+      tokens.push(token);
+      x++;
+    }
+  }
+  return tokens;
+}
+
+// JavaScript: static and dynamic imports, new URL(x, import.meta.url), importScripts() and
+// string literals that look like file names.
+function extractJs(text, base = 0, refs = []) {
+  const tokens = jsTokens(text);
+  const is = (x, type, value) =>
+    tokens[x] && tokens[x].type === type && (value === undefined || tokens[x].value === value);
+  const seq = (x, values) => values.every((value, y) => is(x + y, value[0], value[1]));
+  const kinds = {};
+  for (let x = 0; x < tokens.length; x++) {
+    if (is(x, 'id', 'import') && is(x + 1, 'str') && !is(x - 1, 'punc', '.')) {
+      kinds[x + 1] = 'import';
+    } else if (is(x, 'id', 'from') && is(x + 1, 'str')) {
+      kinds[x + 1] = 'import';
+    } else if (is(x, 'id', 'import') && is(x + 1, 'punc', '(') && is(x + 2, 'str')) {
+      kinds[x + 2] = 'dynamic-import';
+    } else if (
+      seq(x, [['id', 'new'], ['id', 'URL'], ['punc', '('], ['str'], ['punc', ','], ['id', 'import']]) &&
+      seq(x + 6, [['punc', '.'], ['id', 'meta'], ['punc', '.'], ['id', 'url']])
+    ) {
+      kinds[x + 3] = 'url';
+    } else if (is(x, 'id', 'importScripts') && is(x + 1, 'punc', '(')) {
+      for (let y = x + 2; is(y, 'str'); y += 2) {
+        kinds[y] = 'importScripts';
+        if (!is(y + 1, 'punc', ',')) break;
+      }
+    }
+  }
+  tokens.forEach((token, x) => {
+    if (token.type !== 'str') return;
+    const kind = kinds[x];
+    if (kind) {
+      pushRef(refs, text, token.start, token.end, kind, base);
+    } else {
+      const match = pathPattern.exec(token.value);
+      if (match) pushRef(refs, text, token.end - match[1].length, token.end, 'string', base);
+    }
+  });
+  return refs;
+}
+
+// CSS: url(), @import and image-set().
+function extractCss(text, base = 0, refs = []) {
+  const n = text.length;
+  const quotedAt = (x, kind) => {
+    const q = text[x];
+    const close = text.indexOf(q, x + 1);
+    if (close > x) pushRef(refs, text, x + 1, close, kind, base);
+    return close < 0 ? n : close;
+  };
+  for (let x = 0; x < n; x++) {
+    const c = text[x];
+    if (c === '/' && text[x + 1] === '*') {
+      const close = text.indexOf('*/', x + 2);
+      x = close < 0 ? n : close + 1;
+    } else if (c === '"' || c === "'") {
+      // Skip strings other than those picked up below.
+      const close = text.indexOf(c, x + 1);
+      x = close < 0 ? n : close;
+    } else if (/^url\(/i.test(text.substr(x, 4)) && !/[\w-]/.test(text[x - 1] || '')) {
+      let y = x + 4;
+      while (/\s/.test(text[y])) y++;
+      if (text[y] === '"' || text[y] === "'") {
+        x = quotedAt(y, 'url');
+      } else {
+        const close = text.indexOf(')', y);
+        if (close < 0) break;
+        const [start, end] = trimRange(text, y, close);
+        pushRef(refs, text, start, end, 'url', base);
+        x = close;
+      }
+    } else if (/^@import\s/i.test(text.substr(x, 8))) {
+      let y = x + 7;
+      while (/\s/.test(text[y])) y++;
+      if (text[y] === '"' || text[y] === "'") x = quotedAt(y, 'css-import');
+    } else if (/^(-webkit-)?image-set\(/i.test(text.substr(x, 18)) && !/[\w-]/.test(text[x - 1] || '')) {
+      let y = text.indexOf('(', x) + 1;
+      let depth = 1;
+      for (; y < n && depth; y++) {
+        if (text[y] === '(') depth++;
+        else if (text[y] === ')') depth--;
+        else if (text[y] === '"' || text[y] === "'") y = quotedAt(y, 'image-set');
+        else if (/^url\(/i.test(text.substr(y, 4))) break;
+      }
+      x = y - 1;
+    }
+  }
+  return refs;
+}
+
+// srcset: comma separated "url [descriptor]" candidates.
+function extractSrcset(text, start, end, kind, base, refs) {
+  let x = start;
+  while (x < end) {
+    while (x < end && (/\s/.test(text[x]) || text[x] === ',')) x++;
+    const urlStart = x;
+    while (x < end && !/\s/.test(text[x])) x++;
+    let urlEnd = x;
+    while (urlEnd > urlStart && text[urlEnd - 1] === ',') urlEnd--;
+    if (urlEnd > urlStart) pushRef(refs, text, urlStart, urlEnd, kind, base);
+    if (urlEnd < x) continue;
+    while (x < end && text[x] !== ',') x++;
+  }
+}
+
+// Start tags of an HTML document, skipping comments:
+//   {name, start, end, attrs: [{name, value, start, end}], body}
+// start is the offset of '<' and end that of '>'.  Attribute start and end delimit the value
+// without its quotes; attributes without a value have an undefined value.  script and style
+// tags have body: {start, end} for their content, which is not scanned for tags.
+function htmlTags(text) {
+  const tags = [];
+  const n = text.length;
+  const attrPattern = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let x = 0;
+  while (x < n) {
+    const lt = text.indexOf('<', x);
+    if (lt < 0) break;
+    if (text.startsWith('<!--', lt)) {
+      const close = text.indexOf('-->', lt + 4);
+      x = close < 0 ? n : close + 3;
+      continue;
+    }
+    const nameMatch = /^<([a-zA-Z][a-zA-Z0-9\-:]*)/.exec(text.substring(lt, lt + 64));
+    if (!nameMatch) {
+      x = lt + 1;
+      continue;
+    }
+    const name = nameMatch[1].toLowerCase();
+    // Find the end of the tag, allowing > inside quoted attribute values.
+    let y = lt + nameMatch[0].length;
+    let quote = null;
+    for (; y < n && (quote || text[y] !== '>'); y++) {
+      if (quote) {
+        if (text[y] === quote) quote = null;
+      } else if (text[y] === '"' || text[y] === "'") quote = text[y];
+    }
+    const attrsStart = lt + nameMatch[0].length;
+    const attrText = text.substring(attrsStart, y);
+    const tag = {name, start: lt, end: y, attrs: []};
+    attrPattern.lastIndex = 0;
+    let match;
+    while ((match = attrPattern.exec(attrText)) !== null) {
+      const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+      const attr = {name: match[1].toLowerCase(), value};
+      if (value !== undefined) {
+        attr.end = attrsStart + match.index + match[0].length - (match[4] !== undefined ? 0 : 1);
+        attr.start = attr.end - value.length;
+      }
+      tag.attrs.push(attr);
+    }
+    tags.push(tag);
+    x = y + 1;
+    if (name === 'script' || name === 'style') {
+      const close = text.toLowerCase().indexOf(`</${name}`, x);
+      tag.body = {start: x, end: close < 0 ? n : close};
+      x = tag.body.end;
+    }
+  }
+  return tags;
+}
+
+// Value of a tag's attribute, or undefined.
+function htmlAttr(tag, name) {
+  const attr = tag.attrs.find(a => a.name === name);
+  return attr && attr.value;
+}
+
+// HTML: src, href, poster, srcset and opted-in data-* attributes, plus inline style and script.
+function extractHtml(text, base = 0, refs = [], opts = {}) {
+  const dataAttributes = opts.dataAttributes || [];
+  htmlTags(text).forEach(tag => {
+    tag.attrs.forEach(({name, value, start: valueStart, end: valueEnd}) => {
+      if (value === undefined || value.includes('{{') || value.includes('${')) return;
+      if (htmlAttributes.includes(name) || dataAttributes.includes(name)) {
+        const [start, end] = trimRange(text, valueStart, valueEnd);
+        pushRef(refs, text, start, end, name, base);
+      } else if (srcsetAttributes.includes(name)) {
+        extractSrcset(text, valueStart, valueEnd, name, base, refs);
+      } else if (name === 'style') {
+        extractCss(value, base + valueStart, refs);
+      }
+    });
+    if (!tag.body) return;
+    const body = text.substring(tag.body.start, tag.body.end);
+    const type = (htmlAttr(tag, 'type') || '').toLowerCase();
+    if (tag.name === 'style') extractCss(body, base + tag.body.start, refs);
+    else if (!type.includes('html') && !type.includes('template')) extractJs(body, base + tag.body.start, refs);
+  });
+  return refs;
+}
+
+// sourceMappingURL comments in JavaScript or CSS.
+function extractSourceMapUrl(text, base = 0, refs = []) {
+  const pattern = /(?:\/\/|\/\*)[#@][ \t]*sourceMappingURL=([^\s'"*]+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    pushRef(refs, text, end - match[1].length, end, 'sourcemap', base);
+  }
+  return refs;
+}
+
+// Source maps: the top level file field and the sources entries, so that the maps of an
+// index map's sections are left alone.  Sources are relative to sourceRoot when there is
+// one, which is left alone along with them.  Strings with escapes are skipped.
+function extractSourceMap(text, base = 0, refs = []) {
+  let map;
+  try {
+    map = JSON.parse(text);
+  } catch (err) {
+    return refs;
+  }
+  if (!map || typeof map !== 'object' || Array.isArray(map)) return refs;
+  jsonStrings(text).forEach(({pointer, start, end, value}) => {
+    if (text.substring(start, end) !== value) return;
+    if (pointer === '/file') pushRef(refs, text, start, end, 'file', base);
+    else if (/^\/sources\/\d+$/.test(pointer) && !map.sourceRoot) pushRef(refs, text, start, end, 'source', base);
+  });
+  return refs;
+}
+
+// String values in JSON text with their JSON pointers: [{pointer, start, end, value}], where
+// start and end bound the value without its quotes.  The text has to be valid JSON.
+function jsonStrings(text) {
+  const strings = [];
+  let x = 0;
+  const space = () => {
+    while (x < text.length && /\s/.test(text[x])) x++;
+  };
+  const string = () => {
+    const start = ++x;
+    while (text[x] !== '"') x += text[x] === '\\' ? 2 : 1;
+    x++;
+    return {start, end: x - 1, value: JSON.parse(text.substring(start - 1, x))};
+  };
+  const value = pointer => {
+    space();
+    if (text[x] === '"') {
+      strings.push(Object.assign({pointer}, string()));
+    } else if (text[x] === '{' || text[x] === '[') {
+      const close = text[x] === '{' ? '}' : ']';
+      x++;
+      space();
+      for (let index = 0; text[x] !== close; index++) {
+        let key = index;
+        if (close === '}') {
+          key = string().value.replace(/~/g, '~0').replace(/\//g, '~1');
+          space();
+          x++; // :
+        }
+        value(`${pointer}/${key}`);
+        space();
+        if (text[x] === ',') x++;
+        space();
+      }
+      x++;
+    } else {
+      while (x < text.length && !/[\s,\]}]/.test(text[x])) x++;
+    }
+  };
+  value('');
+  return strings;
+}
+
+// RegExp for a JSON pointer pattern: * stands for one key or index, ** for any number.
+function pointerRegExp(pattern) {
+  const source = pattern
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*/g, '\0')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\0/g, '.*');
+  return new RegExp(`^${source}$`);
+}
+
+// JSON: the string values at JSON pointers matching the patterns, such as '/images/*/uri', or
+// without patterns, those that look like file names, as 'string' candidates.  Keys and
+// values with escapes are left alone, and text that does not parse is scanned for quoted
+// strings instead.
+function extractJson(text, base = 0, refs = [], pointers = null) {
+  try {
+    JSON.parse(text);
+  } catch (err) {
+    return extractQuoted(text, base, refs);
+  }
+  const patterns = pointers && pointers.map(pointerRegExp);
+  jsonStrings(text).forEach(({pointer, start, end, value}) => {
+    if (text.substring(start, end) !== value) return;
+    if (patterns) {
+      if (!patterns.some(pattern => pattern.test(pointer))) return;
+      const key = pointer.split('/').filter(part => !/^\d+$/.test(part));
+      pushRef(refs, text, start, end, key[key.length - 1] || 'json', base);
+    } else {
+      const match = pathPattern.exec(value);
+      if (match) pushRef(refs, text, end - match[1].length, end, 'string', base);
+    }
+  });
+  return refs;
+}
+
+// Directives in comments: recache-ignore-file, recache-keep-name and recache-ignore-next-line.
+//   {ignoreFile, keepName, ignored: [{start, end}]}
+// where ignored are the ranges of the lines after each recache-ignore-next-line.
+function directives(text) {
+  const found = {ignoreFile: false, keepName: false, ignored: []};
+  const pattern = /(?:\/\/|\/\*|<!--|#)[ \t]*recache-(ignore-next-line|ignore-file|keep-name)\b/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[1] === 'ignore-file') found.ignoreFile = true;
+    else if (match[1] === 'keep-name') found.keepName = true;
+    else {
+      const start = text.indexOf('\n', match.index) + 1;
+      const end = text.indexOf('\n', start);
+      if (start) found.ignored.push({start, end: end < 0 ? text.length : end});
+    }
+  }
+  return found;
+}
+
+// 1-based line and column of an offset.
+function lineColumn(text, offset) {
+  const before = text.substring(0, offset);
+  const line = before.split('\n').length;
+  return {line, column: offset - before.lastIndexOf('\n')};
+}
+
+// lineColumn for many offsets in one text: its line starts are found once and searched.
+function lineLocator(text) {
+  const starts = [0];
+  for (let at = text.indexOf('\n'); at >= 0; at = text.indexOf('\n', at + 1)) starts.push(at + 1);
+  return offset => {
+    let [low, high] = [0, starts.length - 1];
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (starts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return {line: low + 1, column: offset - starts[low] + 1};
+  };
+}
+
+module.exports = {
+  extractHtml,
+  extractCss,
+  extractJs,
+  extractQuoted,
+  extractJson,
+  jsonStrings,
+  extractSourceMap,
+  extractSourceMapUrl,
+  directives,
+  htmlTags,
+  htmlAttr,
+  isExternal,
+  lineColumn,
+  lineLocator,
+};
@@ -0,0 +1,94 @@
+/**
+   @license Copyright (c) 2016-2020 Yebo Technologies Inc.
+   @prettier
+
+   Reference graph snapshots, as returned by keaton's graph():
+     {generated, entries, nodes: {rpath: {hash, content, path, size}},
+      edges: [{from, to, kind, ref, line, column}], cycles: [[rpath]]}
+   hash is the one in the output name, content that of the file itself.
+
+   graphDot() renders one for Graphviz, explainChange() compares two.
+*/
+
+function dotString(s) {
+  return `"${s.replace(/["\\]/g, '\\$&')}"`;
+}
+
+// Graphviz DOT: entry points are boxes, cycles are dashed clusters, and edges are labelled
+// with the lines the references are on.
+function graphDot(graph) {
+  const lines = ['digraph recache {', '  rankdir=LR;', '  node [fontsize=10];'];
+  graph.cycles.forEach((members, x) => {
+    lines.push(`  subgraph cluster_${x} {`, '    label="cycle";', '    style=dashed;');
+    members.forEach(rpath => lines.push(`    ${dotString(rpath)};`));
+    lines.push('  }');
+  });
+  Object.keys(graph.nodes).forEach(rpath => {
+    const label = `${dotString(rpath).slice(0, -1)}\\n${graph.nodes[rpath].hash}"`;
+    const shape = graph.entries.includes(rpath) ? 'box' : 'ellipse';
+    lines.push(`  ${dotString(rpath)} [label=${label}, shape=${shape}];`);
+  });
+  const edges = {};
+  graph.edges.forEach(({from, to, line}) => {
+    const key = `${dotString(from)} -> ${dotString(to)}`;
+    edges[key] = edges[key] || [];
+    if (!edges[key].includes(line)) edges[key].push(line);
+  });
+  Object.keys(edges).forEach(key => lines.push(`  ${key} [label="${edges[key].join(',')}"];`));
+  lines.push('}', '');
+  return lines.join('\n');
+}
+
+// Why hashes differ between two snapshots.  A file is a cause when its own content or the
+// files its references resolve to changed, or it is new; every other renamed file changed
+// because something below it did.  Each cause comes with the shortest chain of renamed files
+// from an entry point down to it:
+//   [{rpath, reason, before, after, chain: [{rpath, line}]}]
+// where line is that of the reference to the next file in the chain.
+function explainChange(before, after) {
+  const targets = (graph, rpath) =>
+    graph.edges
+      .filter(edge => edge.from === rpath)
+      .map(edge => edge.to)
+      .sort()
+      .join('\n');
+  const renamed = {};
+  Object.keys(after.nodes).forEach(rpath => {
+    const old = before.nodes[rpath];
+    if (!old || old.hash !== after.nodes[rpath].hash) renamed[rpath] = true;
+  });
+  const causes = [];
+  Object.keys(renamed)
+    .sort()
+    .forEach(rpath => {
+      const old = before.nodes[rpath];
+      let reason;
+      if (!old) reason = 'added';
+      else if (old.content !== after.nodes[rpath].content) reason = 'content changed';
+      else if (targets(before, rpath) !== targets(after, rpath)) reason = 'references resolve differently';
+      if (reason) {
+        causes.push({rpath, reason, before: old && old.hash, after: after.nodes[rpath].hash});
+      }
+    });
+  // Breadth first from the entry points, through renamed files only.
+  const parent = {};
+  const queue = after.entries.filter(rpath => renamed[rpath]);
+  queue.forEach(rpath => (parent[rpath] = null));
+  while (queue.length) {
+    const rpath = queue.shift();
+    after.edges.forEach(edge => {
+      if (edge.from !== rpath || !renamed[edge.to] || parent[edge.to] !== undefined) return;
+      parent[edge.to] = edge;
+      queue.push(edge.to);
+    });
+  }
+  causes.forEach(cause => {
+    cause.chain = [{rpath: cause.rpath}];
+    for (let edge = parent[cause.rpath]; edge; edge = parent[edge.from]) {
+      cause.chain.unshift({rpath: edge.from, line: edge.line});
+    }
+  });
+  return causes;
+}
+
+module.exports = {graphDot, explainChange};
@@ -0,0 +1,114 @@
+/**
+   @license Copyright (c) 2016-2020 Yebo Technologies Inc.
+   @prettier
+
+   HTTP caching rules for a built cache.  Hashed names never change content, so they are
+   cached for a year without revalidation; entry points keep their names and are always
+   revalidated.  Each gets its Content-Type by extension.
+
+   headerRules() makes the rules from output URLs, and these write them out:
+     netlifyHeaders()  a _headers file, as Netlify and Cloudflare Pages read it
+     nginxLocations()  location blocks to include in a server block
+     JSON.stringify(rules) for anything else: [{path, headers: {name: value}}]
+*/
+
+const immutable = 'public, max-age=31536000, immutable';
+const revalidate = 'no-cache';
+
+const contentTypes = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json',
+  '.map': 'application/json',
+  '.webmanifest': 'application/manifest+json',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.wasm': 'application/wasm',
+  '.dae': 'model/vnd.collada+xml',
+  '.gltf': 'model/gltf+json',
+  '.glb': 'model/gltf-binary',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.wav': 'audio/wav',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.pdf': 'application/pdf',
+};
+
+function extension(path) {
+  const match = /\.[^./]*$/.exec(path);
+  return match ? match[0] : '';
+}
+
+// Content-Type for a path, or undefined to leave it to the server.
+function contentType(path) {
+  return contentTypes[extension(path).toLowerCase()];
+}
+
+// Rules for outputs [{url, entry}]: entry points first, each list sorted by URL.
+//   [{path, headers: {'Cache-Control', 'Content-Type'}}]
+function headerRules(outputs) {
+  const sorted = outputs.slice().sort((a, b) => b.entry - a.entry || (a.url < b.url ? -1 : a.url > b.url ? 1 : 0));
+  return sorted.map(({url, entry}) => {
+    const headers = {'Cache-Control': entry ? revalidate : immutable};
+    const type = contentType(url);
+    if (type) headers['Content-Type'] = type;
+    return {path: url, headers};
+  });
+}
+
+// _headers: each path followed by its indented headers.
+function netlifyHeaders(rules) {
+  const lines = [];
+  rules.forEach(({path, headers}) => {
+    lines.push(path);
+    Object.keys(headers).forEach(name => lines.push(`  ${name}: ${headers[name]}`));
+  });
+  lines.push('');
+  return lines.join('\n');
+}
+
+// A location's body.  An empty types block makes default_type the Content-Type.
+function nginxBlock(match, headers) {
+  const lines = [`location ${match} {`];
+  if (headers['Content-Type']) lines.push('  types {}', `  default_type "${headers['Content-Type']}";`);
+  lines.push(`  add_header Cache-Control "${headers['Cache-Control']}";`, '}');
+  return lines.join('\n');
+}
+
+// nginx locations: one per entry point, and one per extension of hashed names, matched by
+// hashedPattern(ext), a RegExp source for hashed URLs with that extension.  Unlike a list of
+// names, those also cover the hashed files of earlier builds that are still there.
+function nginxLocations(rules, hashedPattern) {
+  const blocks = ['# Hashed names never change content; entry points are always revalidated.'];
+  const extensions = [];
+  rules.forEach(({path, headers}) => {
+    if (headers['Cache-Control'] !== immutable) {
+      blocks.push(nginxBlock(`= ${path}`, headers));
+      return;
+    }
+    const ext = extension(path);
+    if (extensions.includes(ext)) return;
+    extensions.push(ext);
+    blocks.push(nginxBlock(`~ "${hashedPattern(ext).replace(/"/g, '\\"')}"`, headers));
+  });
+  blocks.push('');
+  return blocks.join('\n');
+}
+
+module.exports = {headerRules, netlifyHeaders, nginxLocations, contentType};
@@ -0,0 +1,2019 @@
+/**
+   @license Copyright (c) 2016-2020 Yebo Technologies Inc.
+   @prettier
+
+   keaton: Merkle-tree-based cache busting as a library.
+
+     const {buildCache} = require('recache');
+     buildCache({inputs: ['src:src', 'index.html:index.html', 'assets:assets@'], entries: ['index.html']})
+       .then(({graph, hashes, notFound, written}) => ...);
+
+   Options:
+     inputs      ['path', 'path:rpath', 'path:rpath@'] or [{path, rpath, all}]
+     entries     entry points, which keep their names; default index.html, tester.html
+     outDir      output directory; default cache
+     ignore      references and paths to ignore: {name: true} or [name]
+     ignorePatterns  .recacheignore lines: rpath globs left out of the walk, / at the end for
+                 directories only, ! to take one back; .git, .local-chromium, node_modules/
+                 and bower_components/ come first
+     resolve     {roots, aliases, search}, see resolveRef
+     dataAttributes  HTML data-* attributes holding references
+     jsonPointers  JSON pointer patterns of the references in .json files, e.g. '/sprites/**',
+                 where * is one key or index; otherwise any value that looks like a file name
+     banner      comment added to written text files, not hashed; ${time} is the build time
+     state       incremental build state file; without one every build starts over
+     manifest    asset manifest path, false for none; default <outDir>/recache-manifest.json
+     notFound    file to list unresolved references in
+     strict      fail the build before writing when references that are not ignored are unresolved
+     sri         add integrity attributes to script and stylesheet tags in HTML, e.g. 'sha384'
+     modulepreload  add <link rel=modulepreload> for the static imports of module scripts in HTML
+     mapsDir     directory to write source maps to instead of outDir, e.g. to keep them private
+     precache    service worker precache list path, or {path, include, exclude, maxSize}:
+                 rpath globs, by default excluding *.map, and a file size limit such as 2m
+     threads     worker threads hashing and copying binary files; default one per CPU
+     hash        {algorithm, encoding, length}: md5, sha1 or sha256, hex or base64url; default md5 hex 6
+     nameTemplate  output names, e.g. '[name].[hash][ext]'; default '[name]_[hash]__[ext]'
+     compress    write .gz and .br beside outputs: true, or {formats, extensions, minSize}
+     release     write each build into <outDir>/releases/<id>, hard linking the hashed files the
+                 current release already has, then switch the <outDir>/current symlink to it;
+                 manifest, precache and headers paths under outDir are written into the release
+     headers     HTTP caching rules output paths: a _headers file, an nginx .conf or .json rules;
+                 hashed files are immutable, entry points no-cache
+     plugins     file type plugins or module paths, see plugins.js; they extend or replace the
+                 built in HTML, SVG, CSS, JavaScript, source map, MTL and quoted string ones
+     inline      replace CSS url() and HTML img src references to small files with data: URIs:
+                 a size such as '2k', true, or {maxSize, extensions}
+     bare        resolve bare import specifiers through node_modules and 'rewrite' them to
+                 hashed paths or leave them to an 'importmap' added to HTML entry points
+
+   createCache(options) returns {build, graph, prune, rollback, symbolicate, verify, watch}.  build() and
+   graph() return Promises; graph() hashes without writing anything and resolves to the
+   reference graph, see graph.js.  verify() checks the references in a built outDir, or its
+   current release, and rollback() makes the release before the current one current again.
+   symbolicate(text, records) maps the hashed names in a log back to rpaths and builds.
+     verbose, loops  logging, as the recache command line
+     logger      console by default
+
+   Each createCache() holds its own state: two caches in one process share nothing.
+*/
+/* jshint maxcomplexity:false */
+const crypto = require('crypto');
+const moment = require('moment');
+const process = require('process');
+const Path = require('path');
+const fs = require('fs-extra');
+const {htmlTags, htmlAttr, lineColumn, lineLocator, directives} = require('./extract');
+const {createPool} = require('./pool');
+const {isBareSpecifier, resolvePackage, fileAt} = require('./packages');
+const {headerRules, netlifyHeaders, nginxLocations, contentType} = require('./headers');
+const {pluginRegistry} = require('./plugins');
+
+const pid = process.pid;
+
+// How output names are made: the first length characters of the digest go in [hash].
+const hashDefaults = {algorithm: 'md5', encoding: 'hex', length: 6};
+const defaultTemplate = '[name]_[hash]__[ext]';
+const hashAlphabets = {hex: '[0-9a-f]', base64url: '[A-Za-z0-9_-]'};
+
+// Compressed sidecars: formats and the extensions and smallest size worth compressing.
+const compressDefaults = {
+  formats: ['gz', 'br'],
+  extensions: ['.html', '.htm', '.css', '.js', '.mjs', '.json', '.map', '.svg', '.txt', '.xml', '.dae', '.wasm'],
+  minSize: 1024,
+};
+const sidecarPattern = /\.(gz|br)$/;
+
+// Data URI inlining: files smaller than maxSize with these extensions.
+const inlineDefaults = {
+  maxSize: 2048,
+  extensions: ['.png', '.gif', '.jpg', '.jpeg', '.webp', '.avif', '.svg', '.ico'],
+};
+
+// Reference kinds that may name packages, and those followed in files from packages.  CSS
+// @import is 'css-import': stylesheets name files, never packages.
+const importKinds = ['import', 'dynamic-import'];
+const packageKinds = ['import', 'dynamic-import', 'css-import', 'url', 'sourcemap', 'file'];
+
+// Checked naming options: {hash: {algorithm, encoding, length}, template}.
+function naming(opts = {}) {
+  const hash = Object.assign({}, hashDefaults, opts.hash);
+  const template = opts.nameTemplate || defaultTemplate;
+  hash.length = parseInt(hash.length, 10);
+  if (!['md5', 'sha1', 'sha256'].includes(hash.algorithm)) {
+    throw new Error(`Unsupported hash algorithm ${hash.algorithm}: use md5, sha1 or sha256.`);
+  }
+  if (!hashAlphabets[hash.encoding]) {
+    throw new Error(`Unsupported hash encoding ${hash.encoding}: use hex or base64url.`);
+  }
+  if (!(hash.length >= 4)) throw new Error(`Hash length ${hash.length} is too short: use at least 4.`);
+  const longest = crypto
+    .createHash(hash.algorithm)
+    .update('')
+    .digest(hash.encoding).length;
+  if (hash.length > longest) {
+    throw new Error(`Hash length ${hash.length} is too long: ${hash.algorithm} ${hash.encoding} has ${longest}.`);
+  }
+  if (!template.includes('[hash]')) throw new Error(`Name template ${template} has no [hash].`);
+  return {hash, template};
+}
+
+// Digest of some content, in full.  Empty content is '0', as it always was.
+function digestString(content, {algorithm, encoding}) {
+  if (!content) return '0';
+  return crypto
+    .createHash(algorithm)
+    .update(content)
+    .digest(encoding);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Fill in a name template: [name] is the path without the extension, [ext] starts with '.'.
+function fillTemplate(template, {name, hash, ext}) {
+  return template.replace(/\[(name|hash|ext)\]/g, (match, key) => ({name, hash, ext}[key]));
+}
+
+// RegExp for the names hashedPath gives files that are not entry points, with the naming
+// options of the build that made them, capturing the parts listed in keys.  With ext, only
+// names with that extension match.
+function namePattern(opts, ext) {
+  const {hash, template} = naming(opts);
+  const keys = [];
+  const source = template
+    .split(/(\[(?:name|hash|ext)\])/)
+    .map(part => {
+      const key = /^\[(name|hash|ext)\]$/.exec(part);
+      if (key) keys.push(key[1]);
+      if (part === '[name]') return '(.*)';
+      if (part === '[hash]') return `(${hashAlphabets[hash.encoding]}{${hash.length}})`;
+      if (part === '[ext]') return ext !== undefined ? `(${escapeRegExp(ext)})` : '((?:\\.[^/]*)?)';
+      return escapeRegExp(part);
+    })
+    .join('');
+  return {regExp: new RegExp(`^${source}$`), keys};
+}
+
+// True for the names hashedPath gives files that are not entry points.
+function isHashedName(name, opts) {
+  return namePattern(opts).regExp.test(name);
+}
+
+// The name a hashed name was made from, e.g. js/app_0a1b2c__.js -> js/app.js, or null.
+function unhashedName(name, opts) {
+  const {regExp, keys} = namePattern(opts);
+  const match = regExp.exec(name);
+  if (!match || !keys.includes('name')) return null;
+  const parts = {ext: ''};
+  keys.forEach((key, x) => (parts[key] = match[x + 1]));
+  return `${parts.name}${parts.ext}`;
+}
+
+// Relative paths of all files below dir.
+function listTree(dir, prefix = '') {
+  let list = [];
+  fs.readdirSync(Path.join(dir, prefix)).forEach(name => {
+    const rel = prefix ? `${prefix}/${name}` : name;
+    if (fs.statSync(Path.join(dir, rel)).isDirectory()) list = list.concat(listTree(dir, rel));
+    else list.push(rel);
+  });
+  return list.sort();
+}
+
+// Build time, from SOURCE_DATE_EPOCH when set so that repeated builds can match exactly.
+function timestampNow() {
+  const epoch = parseInt(process.env.SOURCE_DATE_EPOCH, 10);
+  const time = isNaN(epoch) ? moment.utc() : moment.unix(epoch).utc();
+  return time.format('YYYYMMDDTHHmmss.SSS');
+}
+
+// Milliseconds in an age such as 7d, 12h, 30m or 90s.  Plain numbers are seconds.
+function parseAge(age) {
+  const match = /^(\d+(?:\.\d+)?)([smhdw]?)$/.exec(age);
+  if (!match) return null;
+  const unit = {'': 1, s: 1, m: 60, h: 3600, d: 86400, w: 604800}[match[2]];
+  return parseFloat(match[1]) * unit * 1000;
+}
+
+// Bytes in a size such as 2m, 500k or 1048576.
+function parseSize(size) {
+  const match = /^(\d+(?:\.\d+)?)([kmg]?)b?$/i.exec(`${size}`);
+  if (!match) return null;
+  const unit = {'': 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024}[match[2].toLowerCase()];
+  return Math.floor(parseFloat(match[1]) * unit);
+}
+
+// RegExp for a glob matched against rpaths: ** crosses directories, * and ? do not.  A glob
+// without a / matches the last part of the path in any directory.
+function globRegExp(glob) {
+  let source = glob.replace(/^\//, '').replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  source = source
+    .replace(/\*\*\/?/g, '\0')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')
+    .replace(/\0/g, '(?:.*/)?')
+    .replace(/\(\?:\.\*\/\)\?$/, '.*');
+  return new RegExp(`${glob.includes('/') ? '^' : '(?:^|/)'}${source}$`);
+}
+
+// Left out of the walk unless a pattern takes them back.
+const defaultIgnorePatterns = ['.git', '.local-chromium', 'node_modules/', 'bower_components/'];
+
+// A .recacheignore line as {negate, dirOnly, regExp}, or null for blank lines and comments.
+function ignoreRule(line) {
+  let glob = line.trim();
+  if (!glob || glob.startsWith('#')) return null;
+  const negate = glob.startsWith('!');
+  if (negate) glob = glob.substring(1);
+  const dirOnly = glob.endsWith('/');
+  glob = glob.replace(/\/+$/, '');
+  return glob ? {negate, dirOnly, regExp: globRegExp(glob)} : null;
+}
+
+// True when an rpath matches any of the globs.
+function matchesAny(rpath, globs) {
+  return globs.some(glob => globRegExp(glob).test(rpath.replace(/^\//, '')));
+}
+
+// A cache with its own state: build() hashes and writes everything reachable from the
+// entries, watch() rebuilds as inputs change and prune() deletes outdated hashed files.
+function createCache(opts = {}) {
+  const logger = opts.logger || console;
+  const verbose = opts.verbose;
+  const loops = opts.loops;
+  // Start with index.html, only processing referenced files.
+  const entries = (opts.entries || ['index.html', 'tester.html']).slice();
+  // Files to start from: the entry points, then the files of @ inputs, which keep their names
+  // too but are not written every build.
+  const todo = entries.slice();
+  const queued = new Set(todo); // todo, for lookups in large directories
+  const outDir = (opts.outDir || 'cache').replace(/\/+$/, '') || '.';
+  const banner = opts.banner;
+  const ignore = {};
+  if (Array.isArray(opts.ignore)) opts.ignore.forEach(name => (ignore[name] = true));
+  else Object.assign(ignore, opts.ignore);
+  const ignoreRules = defaultIgnorePatterns
+    .concat(opts.ignorePatterns || [])
+    .map(ignoreRule)
+    .filter(rule => rule);
+  // Reference resolution rules.  Unless a reference matches exactly or relative to the
+  // referencing file, it is tried against each alias, then each root, then each search root.
+  //   roots: ["/assets", ...]  ordered directories to try
+  //   aliases: {"@shared/": "games/sharedAssets-3js/"}  prefix replacements
+  //   search: ["/games/sharedAssets-3js"]  look in all subdirectories of these
+  const resolve = opts.resolve || {};
+  const roots = resolve.roots || [];
+  const aliases = resolve.aliases || {};
+  const searchRoots = resolve.search || [];
+  const dataAttributes = opts.dataAttributes || [];
+  const jsonPointers = opts.jsonPointers || [];
+  const sri = opts.sri === true ? 'sha384' : opts.sri;
+  const mapsDir = opts.mapsDir && opts.mapsDir.replace(/\/+$/, '');
+  const precache = typeof opts.precache === 'string' ? {path: opts.precache} : opts.precache;
+  const bare = opts.bare;
+  const release = opts.release;
+  const compress = opts.compress && Object.assign({}, compressDefaults, opts.compress === true ? {} : opts.compress);
+  let inline = opts.inline;
+  if (inline) inline = Object.assign({}, inlineDefaults, typeof inline === 'object' ? inline : {});
+  if (inline && typeof opts.inline !== 'object' && opts.inline !== true) inline.maxSize = opts.inline;
+  // Bad naming or compression options and plugins reject build() rather than throw here, as
+  // its other errors do; until then the defaults stand in.
+  let setupError = null;
+  let plugins;
+  let hashConfig;
+  let template;
+  try {
+    plugins = pluginRegistry(opts.plugins);
+    ({hash: hashConfig, template} = naming(opts));
+    const formats = compress ? [].concat(compress.formats) : [];
+    const unknown = formats.filter(format => !compressDefaults.formats.includes(format));
+    if (unknown.length) throw new Error(`Unsupported compression format ${unknown.join(', ')}: use gz or br.`);
+  } catch (err) {
+    setupError = err;
+    plugins = plugins || pluginRegistry();
+    ({hash: hashConfig, template} = naming());
+  }
+  var files = []; // List of all files in mentioned directories
+  var notfound = {}; // Apparent paths that don't exist.
+  var missing = []; // {entry, start, ref, kind} of each reference to one of them
+  var written = []; // Output paths written or copied by this build
+
+  // Incremental build state from the last run:
+  //   files[rpath] = {size, mtime, hash, refs, targets, output, digest}
+  // hash is of the file's own content, refs are the references extracted from it, targets the
+  // files they resolved to, output its final hash and digest that hash in full.  Unreachable
+  // files only have size and mtime.
+  const settings = {entries: entries.slice(), dataAttributes, hash: hashConfig, template};
+  if (plugins.names.length) settings.plugins = plugins.names;
+  if (jsonPointers.length) settings.jsonPointers = jsonPointers;
+  if (inline) settings.inline = inline;
+  // These change what is written for HTML and JavaScript, so changing them rewrites it.
+  if (sri) settings.sri = sri;
+  if (opts.modulepreload) settings.modulepreload = true;
+  if (bare) settings.bare = bare;
+  var state = null;
+  function loadState(path) {
+    try {
+      const data = fs.readFileSync(path);
+      const saved = data && JSON.parse(data);
+      if (saved && JSON.stringify(saved.settings) === JSON.stringify(settings)) return saved;
+      if (saved) logger.log(`${path}: settings changed, rebuilding everything.`);
+    } catch (err) {
+      if (!err.message.startsWith('ENOENT')) logger.warn(err);
+    }
+    return {files: {}};
+  }
+
+  // Starting points: 'path', 'path:rpath', with a trailing @ to process all of a directory.
+  // An input that is not there rejects build(), like the setup errors above.
+  var inputs = [];
+  (opts.inputs || []).forEach(input => {
+    try {
+      if (typeof input !== 'string') {
+        input = `${input.path}${input.rpath ? `:${input.rpath}` : ''}${input.all ? '@' : ''}`;
+      }
+      let argr = input;
+      const starIdx = argr.lastIndexOf('@');
+      const all = starIdx > -1;
+      if (all) argr = argr.slice(0, starIdx);
+      const maps = argr.split(':');
+      const arg = maps[0];
+      const astat = fs.statSync(arg);
+      if (astat) {
+        const s = arg.split('/');
+        let nrpath = argr;
+        while (nrpath.startsWith('../')) {
+          nrpath = nrpath.substring(3);
+        }
+        const rpath = maps.length > 1 ? maps[maps.length - 1] : nrpath;
+        s.pop();
+        const dir = astat.isFile() ? s.join('/') : arg;
+        const entry = {all, dir, path: arg, rpath, map: rpath, children: []};
+        logger.log(`From: ${argr} -> rpath:${rpath} ${all ? 'all' : ''}`);
+        inputs.push(entry);
+      }
+    } catch (err) {
+      setupError = setupError || new Error(`Input ${input}: ${err.message}`);
+    }
+  });
+
+  // True when the last .recacheignore rule matching an rpath ignores it, as in .gitignore.
+  function isIgnoredPath(rpath, isDir) {
+    let ignored = false;
+    const path = rpath.replace(/^\/+/, '');
+    ignoreRules.forEach(({negate, dirOnly, regExp}) => {
+      if ((!dirOnly || isDir) && regExp.test(path)) ignored = !negate;
+    });
+    return ignored;
+  }
+
+  // List every file below the inputs, adding new files to the list as they are found.
+  var rpathcache;
+  // A file's entry: where it is, its rpath split into base and ext, and whether it is text,
+  // which it is when a plugin claims its extension.
+  function fileRecord({dir, path, rpath, map}, stat) {
+    const sexty = !!plugins.forExt(Path.extname(path));
+    const ext = rpath.substring(rpath.lastIndexOf('.'));
+    const dirname = Path.dirname(rpath);
+    const rpathbp = Path.basename(rpath);
+    const base = (dirname !== '.' ? `${dirname}/` : '') + rpathbp.substring(0, rpathbp.length - ext.length);
+    return {dir, path, rpath, base, ext, map, sexty, size: stat.size, mtime: stat.mtimeMs};
+  }
+
+  function walkInputs() {
+    const items = inputs.map(input => Object.assign({}, input, {children: []}));
+    files = [];
+    rpathcache = {};
+    for (let x = 0; x < items.length; x++) {
+      const entry = items[x];
+      const {all, dir, path, rpath, map} = entry;
+      let stat;
+      if (ignore[path]) logger.log(`Ignoring: ${path}`);
+      if (!ignore[path]) {
+        try {
+          stat = fs.statSync(path);
+        } catch (err) {
+          if (verbose) logger.log(`stat error: ${path}`);
+        }
+        if (stat && isIgnoredPath(rpath, stat.isDirectory())) {
+          if (verbose) logger.log(`Ignoring: ${rpath}`);
+        } else if (stat && stat.isFile()) {
+          // logger.log(`${path}`);
+          const rec = fileRecord({dir, path, rpath, map}, stat);
+          if (!rpathcache[rpath]) {
+            rpathcache[rpath] = true;
+            files.push(rec);
+          }
+          if (files.length < 100 || files.length % 10000 === 0) {
+            if (verbose) logger.log(`Files: ${files.length} rpath:${rec.rpath} dir:${rec.dir}`);
+          }
+        } else if (stat && stat.isDirectory() /* && !rpathcache[rpath] */) {
+          // logger.log(`dir:${path}`);
+          try {
+            const dfs = fs.readdirSync(path);
+            dfs.forEach(df => {
+              // logger.log(`dir: ${entry.path} push: ${rpath}/${df}`);
+              items.push({
+                all,
+                dir: `${dir}/${df}`,
+                path: `${path}/${df}`,
+                rpath: `${rpath}/${df}`,
+                map,
+                base: `${path}/${df}`,
+                ext: '',
+              });
+              if (all && !queued.has(`${rpath}/${df}`)) {
+                queued.add(`${rpath}/${df}`);
+                todo.push(`${rpath}/${df}`);
+              }
+              if (!df.includes('.')) {
+                if (!Array.isArray(entry.children)) {
+                  entry.children = [];
+                }
+                entry.children.push(df);
+              }
+            });
+            // logger.log(items);
+          } catch (err) {
+            logger.error(err);
+          }
+        }
+      }
+    }
+    if (verbose) logger.log(files.length);
+  }
+
+  var mfiles;
+  var filenames;
+  var hashcache = {};
+  var digests = {}; // rpath -> full digest of what its hash was taken from
+  var outputs = {}; // hpath -> {rpath, digest}, for collisions
+  var shorts = {}; // hash -> {rpath, digest}
+  // Create lookup index that translates from relative path to actual item.
+  function indexFiles() {
+    mfiles = {};
+    filenames = [];
+    searchIndex = {};
+    for (let x = 0; x < files.length; x++) {
+      const entry = files[x];
+      if (!mfiles[entry.rpath]) {
+        mfiles[entry.rpath] = entry;
+        mfiles[`/${entry.rpath}`] = entry;
+        filenames.push(entry.rpath);
+      }
+    }
+  }
+
+  // For each search root, index every file below it by each of its path suffixes,
+  // preferring the shallowest file when several share a suffix.
+  var searchIndex;
+  function searchRoot(root, ms) {
+    let index = searchIndex[root];
+    if (!index) {
+      index = searchIndex[root] = {};
+      const prefix = `${root.replace(/^\/+|\/+$/g, '')}/`;
+      filenames
+        .filter(rpath => rpath.replace(/^\/+/, '').startsWith(prefix))
+        .map(rpath => ({rpath, parts: rpath.replace(/^\/+/, '').substring(prefix.length).split('/')}))
+        .sort((a, b) => a.parts.length - b.parts.length)
+        .forEach(({rpath, parts}) => {
+          for (let x = parts.length - 1; x >= 0; x--) {
+            const suffix = parts.slice(x).join('/');
+            if (!index[suffix]) index[suffix] = mfiles[rpath];
+          }
+        });
+    }
+    return index[ms];
+  }
+
+  // Find the file a reference points to, returning it along with a description of the rule that matched.
+  function resolveRef(ms, path) {
+    let fix = mfiles[ms];
+    if (fix) return {fix, rule: 'exact'};
+    fix = mfiles[`${path}/${ms}`];
+    if (fix) return {fix, rule: 'relative'};
+    const alias = Object.keys(aliases).find(prefix => ms.startsWith(prefix));
+    if (alias) {
+      fix = mfiles[`${aliases[alias]}${ms.substring(alias.length)}`];
+      if (fix) return {fix, rule: `alias ${alias}`};
+    }
+    for (let x = 0; x < roots.length; x++) {
+      fix = mfiles[`${roots[x]}/${ms}`];
+      if (fix) return {fix, rule: `root ${roots[x]}`};
+    }
+    for (let x = 0; x < searchRoots.length; x++) {
+      fix = searchRoot(searchRoots[x], ms);
+      if (fix) return {fix, rule: `search ${searchRoots[x]}`};
+    }
+    return {};
+  }
+
+  // Index a file resolved inside node_modules, which the walk skips, under its path from the
+  // first node_modules directory, e.g. node_modules/lit/index.js.
+  function packageFile(path) {
+    if (!path) return null;
+    const parts = Path.resolve(path).split(Path.sep);
+    const rpath = parts.slice(parts.indexOf('node_modules')).join('/');
+    if (!mfiles[rpath]) {
+      const entry = fileRecord({dir: Path.dirname(path), path, rpath, map: ''}, fs.statSync(path));
+      entry.pkg = true;
+      files.push(entry);
+      mfiles[rpath] = mfiles[`/${rpath}`] = entry;
+    }
+    return mfiles[rpath];
+  }
+
+  // Resolve references that the walked files cannot satisfy: bare specifiers through
+  // node_modules, and relative references between files inside packages.  With an import
+  // map, bare specifiers are left as they are.
+  function resolvePackageRef(entry, ms, kind) {
+    let fix = null;
+    if (entry.pkg && /^\.\.?\//.test(ms)) {
+      fix = packageFile(fileAt(Path.resolve(Path.dirname(entry.path), ms)));
+    } else if (importKinds.includes(kind) && isBareSpecifier(ms)) {
+      fix = packageFile(resolvePackage(ms, Path.dirname(entry.path)));
+      if (fix && bare === 'importmap') return {fix, rule: 'package', mapped: true};
+    }
+    return fix ? {fix, rule: 'package'} : {};
+  }
+
+  // Reference graph of every file reachable from the starting points:
+  //   nodes[rpath] = {entry, text, hash, found, refs: [{start, end, target, kind, mapped}], deps: [rpath]}
+  // mapped is the specifier of a reference left to the import map.
+  // found holds the references extracted from text, refs those that resolved to a file.
+  // deps leaves out references to entry points, whose names never change, and bare
+  // specifiers left to an import map.
+  var nodes = {};
+  var done = {};
+  var changed = {}; // rpath -> 'added' | 'changed', for reachable files whose content differs from last run
+  var rebuilt = {}; // rpaths hashed again this run
+
+  // Resolve a reference found in an entry's text to the file it names.
+  function resolveFrom(entry, text, {start, ref, kind}) {
+    // Only the path is rewritten: keep any query or fragment.
+    const qx = ref.search(/[?#]/);
+    let ms = qx < 0 ? ref : ref.substring(0, qx);
+    if (!ms || ignore[ms]) return null;
+    // Package files only refer to other files through imports, URLs and source maps.
+    if (entry.pkg && !packageKinds.includes(kind)) return null;
+    const sms = ms;
+    let path = entry.base.substring(0, entry.base.lastIndexOf('/'));
+    if (ms.startsWith('./')) ms = ms.substring(2);
+    while (ms.startsWith('../')) {
+      ms = ms.substring(3);
+      path = path.substring(0, path.lastIndexOf('/'));
+    }
+    let res = entry.pkg ? resolvePackageRef(entry, sms, kind) : resolveRef(ms, path);
+    if (!res.fix && bare && !entry.pkg) res = resolvePackageRef(entry, sms, kind);
+    const {fix, rule, mapped} = res;
+    if (fix && verbose) logger.log(`${entry.rpath}: ${sms} -> ${fix.rpath} (${rule})`);
+    // Original sources named by source maps are usually not part of the site.
+    if (!fix && kind !== 'source' && (kind !== 'string' || ms.includes('/')) && !ignore[`${path}/${ms}`]) {
+      if (verbose) {
+        const {line, column} = text !== undefined ? lineColumn(text, start) : {line: '', column: start};
+        logger.log(`Could not find: ${ms} or ${path}/${ms} ${kind}:${sms} in ${entry.path}:${line}:${column}`);
+      }
+      notfound[`${path}/${ms}`] = true;
+      missing.push({entry, start, ref: sms, kind});
+    }
+    // .js files often have their name as a string which would cause infinite recursion.
+    if (!fix || fix.rpath === entry.rpath) return null;
+    return {fix, end: start + sms.length, mapped: mapped ? sms : undefined};
+  }
+
+  function isText(entry) {
+    return entry.sexty && entry.size < 1024 * 1024 * 5;
+  }
+
+  // Take a text file's content and extract its references.
+  function parseText(node, content) {
+    const {entry} = node;
+    io.files++;
+    io.bytes += content.length;
+    node.text = content.toString();
+    node.hash = digestString(node.text, hashConfig);
+    const refs = plugins.extract(node.text, entry.ext, {dataAttributes, jsonPointers});
+    node.found = refs.map(({start, end, ref, kind}) => ({start, end, ref, kind}));
+    entry.keep = directives(node.text).keepName;
+  }
+
+  // Entry points, the files of @ inputs and files with a recache-keep-name comment are
+  // written under their own names.
+  function keepsName(entry) {
+    return entry.keep || queued.has(entry.rpath);
+  }
+
+  // Whether a file that keeps its name would be written as the build that made hash wrote it:
+  // its hash covers its content and the hashes of what it refers to.  Entry points are written
+  // every build, as are files whose data URIs, import map or integrity values depend on the
+  // content of files that keep their names.
+  function sameOutput(node, hash) {
+    const {entry} = node;
+    if (!hash || hash !== hashcache[entry.rpath] || entries.includes(entry.rpath)) return false;
+    if (node.refs.some(ref => ref.inlined)) return false;
+    return !(/^\.html?$/.test(entry.ext) && (sri || bare === 'importmap'));
+  }
+
+  // Read a text file whose references were known from the state file.
+  function readNode(node) {
+    try {
+      parseText(node, fs.readFileSync(node.entry.path));
+    } catch (err) {
+      logger.log(err);
+    }
+  }
+
+  // Hash a binary file in the worker pool.  The build goes on reading text files meanwhile
+  // and waits for the hash when it gets to the file's component.
+  function hashBinary(node, old) {
+    const {entry} = node;
+    node.found = [];
+    hashing[entry.rpath] = workers()
+      .hash(entry.path, hashConfig)
+      .then(
+        ({digest, size}) => {
+          io.files++;
+          io.hashed++;
+          io.bytes += size;
+          node.hash = digest;
+        },
+        err => {
+          logger.error(`md5 ${entry.path}: ${err.message}`);
+          node.hash = '0';
+        },
+      )
+      .then(() => noteChange(node, old));
+  }
+
+  function noteChange(node, old) {
+    if (!old || old.hash !== node.hash) changed[node.entry.rpath] = old && old.hash ? 'changed' : 'added';
+  }
+
+  // Add each file reachable from roots to the graph, reading only those that changed since
+  // the last run and reusing the saved references of the rest.  Text files are read a
+  // generation at a time, all of them at once.
+  async function addNodes(roots) {
+    let generation = roots;
+    while (generation.length) {
+      const fresh = [];
+      generation.forEach(entry => {
+        if (nodes[entry.rpath]) return;
+        const node = {entry, refs: [], deps: []};
+        nodes[entry.rpath] = node;
+        fresh.push(node);
+      });
+      await Promise.all(
+        fresh.map(async node => {
+          const {entry} = node;
+          const old = state.files[entry.rpath];
+          if (old && old.hash && old.size === entry.size && old.mtime === entry.mtime) {
+            node.hash = old.hash;
+            node.found = old.refs || [];
+            entry.keep = !!old.keep;
+            return;
+          }
+          if (isText(entry)) {
+            try {
+              parseText(node, await fs.readFile(entry.path));
+              return noteChange(node, old);
+            } catch (err) {
+              logger.log(err);
+            }
+          }
+          hashBinary(node, old);
+        }),
+      );
+      generation = [];
+      fresh.forEach(node => {
+        const {entry} = node;
+        node.found.forEach(ref => {
+          const res = resolveFrom(entry, node.text, ref);
+          if (!res) return;
+          const target = res.fix.rpath;
+          node.refs.push({start: ref.start, end: res.end, target, kind: ref.kind, mapped: res.mapped});
+          if (!queued.has(target) && !res.mapped && !node.deps.includes(target)) node.deps.push(target);
+          if (!nodes[target]) generation.push(res.fix);
+        });
+      });
+    }
+  }
+
+  // Tarjan's algorithm: strongly connected components of the graph, each listed after every
+  // component it refers to.  Iterative, since reference chains can be long.
+  function components() {
+    const index = {};
+    const low = {};
+    const onStack = {};
+    const stack = [];
+    const result = [];
+    let next = 0;
+    const visit = rpath => {
+      index[rpath] = low[rpath] = next++;
+      stack.push(rpath);
+      onStack[rpath] = true;
+      return {rpath, edge: 0};
+    };
+    Object.keys(nodes).forEach(root => {
+      if (index[root] !== undefined) return;
+      const work = [visit(root)];
+      while (work.length) {
+        const frame = work[work.length - 1];
+        const deps = nodes[frame.rpath].deps;
+        if (frame.edge < deps.length) {
+          const dep = deps[frame.edge++];
+          if (index[dep] === undefined) work.push(visit(dep));
+          else if (onStack[dep]) low[frame.rpath] = Math.min(low[frame.rpath], index[dep]);
+          continue;
+        }
+        work.pop();
+        if (work.length) {
+          const parent = work[work.length - 1].rpath;
+          low[parent] = Math.min(low[parent], low[frame.rpath]);
+        }
+        if (low[frame.rpath] === index[frame.rpath]) {
+          const members = [];
+          let member;
+          do {
+            member = stack.pop();
+            onStack[member] = false;
+            members.push(member);
+          } while (member !== frame.rpath);
+          result.push(members.sort());
+        }
+      }
+    });
+    return result;
+  }
+
+  // A node's text with each reference replaced by its target's hashed name, or its content
+  // as a data URI, by its plugin when that rewrites.  References to targets in `inside` are left as their rpath, for
+  // hashing a cycle before its hash is known.
+  function rewriteText(node, inside) {
+    const edits = [];
+    node.refs.forEach(({start, end, target, kind, mapped, inlined}) => {
+      if (mapped) return;
+      let text = target;
+      if (inlined) {
+        text = dataUri(target);
+      } else if (!(inside && inside[target])) {
+        const fix = mfiles[target];
+        const hpath = hashedPath(fix, hashcache[target]);
+        text = `${hpath[0] === '/' ? '' : '/'}${hpath}`;
+      }
+      edits.push({start, end, text, ref: node.text.substring(start, end), kind});
+    });
+    const plugin = plugins.forExt(node.entry.ext);
+    let output = plugin && plugin.rewrite ? plugin.rewrite(node.text, edits) : applyEdits(node.text, edits);
+    if (bare === 'importmap' && isHtmlEntry(node.entry.rpath)) output = addImportMap(output);
+    return output;
+  }
+
+  // Inlining: CSS url() references, in stylesheets or HTML, and HTML img src references to
+  // files below the size limit with one of the extensions, that refer to nothing themselves,
+  // become data URIs.  Being part of the referring file's text, their content is part of its
+  // hash.  Files that are only inlined, and not inputs of their own, are not written.
+  var dataUris = {}; // rpath -> data URI
+  var inlineOnly = {}; // rpaths of files that are not written, being only inlined
+
+  function isInlineable(rpath) {
+    const {entry, refs} = nodes[rpath];
+    if (keepsName(entry) || refs.length || !inline.extensions.includes(entry.ext.toLowerCase())) return false;
+    return entry.size < parseSize(inline.maxSize);
+  }
+
+  // Mark the references to inline, and the files that need not be written.
+  function markInlines() {
+    const linked = {};
+    const inlined = {};
+    Object.keys(nodes).forEach(rpath => {
+      const node = nodes[rpath];
+      const html = /^\.html?$/.test(node.entry.ext);
+      let images = null;
+      node.refs.forEach(ref => {
+        ref.inlined = false;
+        if (inline && !ref.mapped && isInlineable(ref.target)) {
+          if (ref.kind === 'url' && (html || node.entry.ext === '.css')) ref.inlined = true;
+          else if (ref.kind === 'src' && html) {
+            if (node.text === undefined) readNode(node);
+            images = images || htmlTags(node.text).filter(tag => tag.name === 'img');
+            const isSrc = attr => attr.name === 'src' && ref.start >= attr.start && ref.start < attr.end;
+            ref.inlined = images.some(tag => tag.attrs.some(isSrc));
+          }
+        }
+        if (ref.inlined) (inlined[ref.target] = inlined[ref.target] || []).push(rpath);
+        else linked[ref.target] = true;
+      });
+    });
+    inlineOnly = {};
+    Object.keys(inlined).forEach(rpath => {
+      if (!linked[rpath] && !todo.includes(rpath)) inlineOnly[rpath] = true;
+    });
+    return inlined;
+  }
+
+  function dataUri(rpath) {
+    if (!dataUris[rpath]) {
+      const {path} = nodes[rpath].entry;
+      const type = (contentType(path) || 'application/octet-stream').split(';')[0];
+      dataUris[rpath] = `data:${type};base64,${fs.readFileSync(path).toString('base64')}`;
+    }
+    return dataUris[rpath];
+  }
+
+  // Report what was inlined where, and what it saved: requests, and files not written.
+  function reportInlines(inlined) {
+    const list = Object.keys(inlined).sort();
+    if (!list.length) return;
+    let requests = 0;
+    let saved = 0;
+    let added = 0;
+    list.forEach(rpath => {
+      const referrers = inlined[rpath];
+      const {size} = nodes[rpath].entry;
+      requests += referrers.length;
+      added += referrers.length * dataUri(rpath).length;
+      if (inlineOnly[rpath]) saved += size;
+      if (verbose || list.length <= 50) {
+        const kept = inlineOnly[rpath] ? '' : ', also written';
+        const uri = dataUri(rpath).length;
+        logger.log(`  ${rpath}: ${size} bytes, ${uri} as a data URI in ${referrers.join(', ')}${kept}`);
+      }
+    });
+    const files = Object.keys(inlineOnly).length;
+    logger.log(
+      `Inlined ${list.length} files in ${requests} references: ${requests} requests saved, ${files} files ` +
+        `(${saved} bytes) no longer written, ${added} bytes of data URIs added.`,
+    );
+  }
+
+  function isHtmlEntry(rpath) {
+    return queued.has(rpath) && /^\.html?$/.test(nodes[rpath].entry.ext);
+  }
+
+  // The import map for the bare specifiers left as they are: {imports, scopes}.  A package
+  // whose specifiers resolve differently from the site's gets a scope of its own.
+  function importMap() {
+    const map = {imports: {}, scopes: {}};
+    const scoped = [];
+    Object.keys(nodes)
+      .sort()
+      .forEach(rpath => {
+        const node = nodes[rpath];
+        node.refs.forEach(({target, mapped}) => {
+          if (!mapped) return;
+          if (node.entry.pkg) scoped.push({rpath, specifier: mapped, url: outputUrl(target)});
+          else if (!map.imports[mapped]) map.imports[mapped] = outputUrl(target);
+        });
+      });
+    scoped.forEach(({rpath, specifier, url}) => {
+      if (!map.imports[specifier]) map.imports[specifier] = url;
+      if (map.imports[specifier] === url) return;
+      const parts = rpath.split('/');
+      const at = parts.lastIndexOf('node_modules');
+      const scope = `/${parts.slice(0, at + (parts[at + 1][0] === '@' ? 3 : 2)).join('/')}/`;
+      map.scopes[scope] = Object.assign(map.scopes[scope] || {}, {[specifier]: url});
+    });
+    return map;
+  }
+
+  // Put the import map in an HTML entry point ahead of its scripts, or merge it into the one
+  // already there, whose own mappings win.
+  function addImportMap(html) {
+    const map = importMap();
+    const tags = htmlTags(html);
+    const isMap = tag => tag.name === 'script' && (htmlAttr(tag, 'type') || '').toLowerCase() === 'importmap';
+    const old = tags.find(tag => isMap(tag) && tag.body);
+    let start;
+    let end;
+    if (old) {
+      let own;
+      try {
+        own = JSON.parse(html.substring(old.body.start, old.body.end));
+      } catch (err) {
+        logger.warn(`Import map left alone: ${err.message}`);
+        return html;
+      }
+      map.imports = Object.assign(map.imports, own.imports);
+      map.scopes = Object.assign(map.scopes, own.scopes);
+      start = old.start;
+      end = html.indexOf('>', old.body.end) + 1;
+    } else {
+      if (!Object.keys(map.imports).length) return html;
+      const first = tags.find(tag => tag.name === 'script');
+      const head = html.search(/<\/head>/i);
+      start = end = first ? first.start : head >= 0 ? head : 0;
+    }
+    if (!Object.keys(map.scopes).length) delete map.scopes;
+    const indent = /[ \t]*$/.exec(html.substring(0, start))[0];
+    const json = JSON.stringify(map, null, 2).replace(/\n/g, `\n${indent}`);
+    const script = `<script type="importmap">\n${indent}${json}\n${indent}</script>`;
+    return html.substring(0, start) + script + (old ? '' : `\n${indent}`) + html.substring(end);
+  }
+
+  // Output path of an entry relative to the cache directory.  Entry points and files marked
+  // recache-keep-name keep their names.
+  function hashedPath(entry, hash) {
+    if (keepsName(entry)) return `${entry.base}${entry.ext}`;
+    return fillTemplate(template, {name: entry.base, hash, ext: entry.ext});
+  }
+
+  var timeNow;
+
+  // Banner comment for a file, in that file's comment syntax, from its plugin.
+  function bannerFor(node) {
+    const plugin = plugins.forExt(node.entry.ext);
+    if (!banner || !plugin || !plugin.comment) return '';
+    return plugin.comment(banner.replace(/\$\{time\}/g, timeNow), node.text);
+  }
+
+  // A component has to be hashed again when any member changed, resolves its references
+  // differently than last time, or refers to a component that was hashed again.
+  function isDirty(members) {
+    return members.some(rpath => {
+      const node = nodes[rpath];
+      const old = state.files[rpath];
+      return (
+        changed[rpath] ||
+        (bare === 'importmap' && isHtmlEntry(rpath)) ||
+        !old ||
+        !old.output ||
+        JSON.stringify(old.targets) !== JSON.stringify(node.refs.map(ref => ref.target)) ||
+        node.deps.some(dep => rebuilt[dep])
+      );
+    });
+  }
+
+  function setHash(rpath, hash, digest) {
+    const {entry} = nodes[rpath];
+    hashcache[rpath] = hash;
+    digests[rpath] = digest;
+    entry.hash = hash;
+    entry.hpath = hashedPath(entry, hash);
+    byUrl[outputUrl(rpath)] = rpath;
+    if (!keepsName(entry)) checkCollision(rpath, hash, digest);
+  }
+
+  // A truncated hash shared by different content is harmless until it gives them the same
+  // name: this build's other outputs, or this file's last output, which would be kept.
+  function checkCollision(rpath, hash, digest) {
+    const {hpath} = nodes[rpath].entry;
+    const fail = other => {
+      throw new Error(
+        `Hash collision: ${other} and ${rpath} have different content but the same name ${hpath}.  ` +
+          'Use a longer hash length or another algorithm.',
+      );
+    };
+    const seen = outputs[hpath];
+    if (seen && seen.digest !== digest) fail(seen.rpath);
+    outputs[hpath] = {rpath, digest};
+    const old = state.files[rpath];
+    if (old && old.output === hash && old.digest && old.digest !== digest) fail(`the last build's ${rpath}`);
+    if (verbose && shorts[hash] && shorts[hash].digest !== digest) {
+      logger.log(`Same hash ${hash}, different content: ${shorts[hash].rpath} and ${rpath}`);
+    }
+    shorts[hash] = {rpath, digest};
+  }
+
+  // Give every member of a strongly connected component its hash.  A file outside of any
+  // cycle is hashed by its rewritten content, which includes its dependencies' hashed names,
+  // but not the banner.
+  // The members of a cycle share one hash of all of their content, with references inside
+  // the cycle left unhashed, so a change anywhere in or below the cycle renames all of it.
+  // Components that are not dirty keep last run's hash.
+  function hashComponent(members) {
+    if (!isDirty(members)) {
+      members.forEach(rpath => setHash(rpath, state.files[rpath].output, state.files[rpath].digest));
+      return;
+    }
+    members.forEach(rpath => {
+      const node = nodes[rpath];
+      if (node.text === undefined && isText(node.entry)) readNode(node);
+      rebuilt[rpath] = true;
+    });
+    let digest;
+    if (members.length === 1) {
+      const node = nodes[members[0]];
+      digest = node.text !== undefined ? digestString(rewriteText(node), hashConfig) : node.hash;
+    } else {
+      const inside = {};
+      members.forEach(rpath => (inside[rpath] = true));
+      if (loops || verbose) logger.log(`    cycle: ${members.join(' ')}`);
+      const sorted = members.slice().sort();
+      const contents = sorted.map(rpath => `${rpath}\n${rewriteText(nodes[rpath], inside)}`);
+      digest = digestString(contents.join('\n'), hashConfig);
+    }
+    const hash = digest.substring(0, hashConfig.length);
+    members.forEach(rpath => setHash(rpath, hash, digest));
+  }
+
+  // URL a rewritten reference uses for a file.
+  function outputUrl(rpath) {
+    const {hpath} = nodes[rpath].entry;
+    return `${hpath[0] === '/' ? '' : '/'}${hpath}`;
+  }
+
+  // rpath of the file an output URL refers to, among those hashed so far, or undefined.
+  var byUrl = {};
+  function urlTarget(url) {
+    return byUrl[url.split(/[?#]/)[0]];
+  }
+
+  // The text processFile writes for a text file.
+  function outputText(node) {
+    let output = bannerFor(node) + rewriteText(node);
+    if (/^\.html?$/.test(node.entry.ext)) {
+      if (opts.modulepreload) output = addModulePreloads(output);
+      if (sri) output = addIntegrity(output);
+    }
+    return output;
+  }
+
+  // Integrity value of the bytes written for a file.  Targets are written before the files
+  // that refer to them, except within a cycle, where the output is produced here instead.
+  var integrities = {};
+  function integrity(rpath) {
+    if (integrities[rpath]) return integrities[rpath];
+    const node = nodes[rpath];
+    let data;
+    try {
+      data = fs.readFileSync(`${outputDir(node.entry)}/${node.entry.hpath}`);
+    } catch (err) {
+      if (node.text === undefined && isText(node.entry)) readNode(node);
+      data = node.text !== undefined ? outputText(node) : fs.readFileSync(node.entry.path);
+    }
+    const digest = crypto
+      .createHash(sri)
+      .update(data)
+      .digest('base64');
+    return (integrities[rpath] = `${sri}-${digest}`);
+  }
+
+  // Apply {start, end, text} edits to text.
+  function applyEdits(text, edits) {
+    edits.sort((a, b) => b.start - a.start);
+    edits.forEach(({start, end, text: insert}) => {
+      text = text.substring(0, start) + insert + text.substring(end);
+    });
+    return text;
+  }
+
+  // Add or update integrity, and add crossorigin, on script, stylesheet and modulepreload tags
+  // that refer to files in this build.
+  function addIntegrity(html) {
+    const edits = [];
+    htmlTags(html).forEach(tag => {
+      const rel = (htmlAttr(tag, 'rel') || '').toLowerCase().split(/\s+/);
+      let url;
+      if (tag.name === 'script') url = htmlAttr(tag, 'src');
+      else if (tag.name === 'link' && (rel.includes('stylesheet') || rel.includes('modulepreload'))) {
+        url = htmlAttr(tag, 'href');
+      }
+      const rpath = url && urlTarget(url);
+      if (!rpath) return;
+      const value = integrity(rpath);
+      const at = html[tag.end - 1] === '/' ? tag.end - 1 : tag.end;
+      const old = tag.attrs.find(attr => attr.name === 'integrity');
+      // Of two insertions at one offset, the later one ends up first.
+      if (!tag.attrs.some(attr => attr.name === 'crossorigin')) {
+        edits.push({start: at, end: at, text: ' crossorigin="anonymous"'});
+      }
+      if (old && old.value !== undefined) edits.push({start: old.start, end: old.end, text: value});
+      else if (!old) edits.push({start: at, end: at, text: ` integrity="${value}"`});
+    });
+    return applyEdits(html, edits);
+  }
+
+  // Files a module imports statically, directly or indirectly, not including itself.
+  function moduleImports(rpath) {
+    const list = [];
+    const stack = [rpath];
+    while (stack.length) {
+      nodes[stack.pop()].refs.forEach(({target, kind}) => {
+        if (kind !== 'import' || target === rpath || list.includes(target)) return;
+        list.push(target);
+        stack.push(target);
+      });
+    }
+    return list;
+  }
+
+  // Add <link rel=modulepreload> before each module script for the modules it imports that
+  // the document does not already preload.
+  function addModulePreloads(html) {
+    const tags = htmlTags(html);
+    const preloaded = {};
+    tags.forEach(tag => {
+      const rel = (htmlAttr(tag, 'rel') || '').toLowerCase().split(/\s+/);
+      const rpath = tag.name === 'link' && rel.includes('modulepreload') && urlTarget(htmlAttr(tag, 'href') || '');
+      if (rpath) preloaded[rpath] = true;
+    });
+    const edits = [];
+    tags.forEach(tag => {
+      if (tag.name !== 'script' || (htmlAttr(tag, 'type') || '').toLowerCase() !== 'module') return;
+      const rpath = urlTarget(htmlAttr(tag, 'src') || '');
+      if (!rpath) return;
+      const list = moduleImports(rpath).filter(target => !preloaded[target]);
+      if (!list.length) return;
+      list.forEach(target => (preloaded[target] = true));
+      const indent = /[ \t]*$/.exec(html.substring(0, tag.start))[0];
+      const links = list.map(target => `<link rel="modulepreload" href="${outputUrl(target)}">\n${indent}`);
+      edits.push({start: tag.start, end: tag.start, text: links.join('')});
+    });
+    return applyEdits(html, edits);
+  }
+
+  // Output directory of a file: source maps can go elsewhere, and releases are written to a
+  // staging directory first.
+  function outputDir(entry) {
+    return mapsDir && entry.ext === '.map' ? mapsDir : staging || outDir;
+  }
+
+  // Releases: each build is written to a staging directory, then renamed to
+  //   <outDir>/releases/<number>-<build time>
+  // and <outDir>/current, a relative symlink, is switched to it in one rename, so that
+  // nothing serving current sees an entry point before the files it refers to.  Releases are
+  // ordered by number.
+  var staging = null; // directory this build is writing its release to
+  var previous = null; // current release when this build started
+
+  // Directory the current symlink points to, or null.
+  function currentRelease() {
+    try {
+      return Path.join(outDir, fs.readlinkSync(`${outDir}/current`));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Release ids, oldest first.  Build times can go back, with SOURCE_DATE_EPOCH of an older
+  // commit, so ids start with a sequence number: 000012-20201019T200200.000.
+  function releaseNumber(id) {
+    const match = /^(\d+)-/.exec(id);
+    return match ? Number(match[1]) : 0;
+  }
+  function releases() {
+    try {
+      return fs
+        .readdirSync(`${outDir}/releases`)
+        .filter(name => !name.startsWith('.'))
+        .sort((a, b) => releaseNumber(a) - releaseNumber(b) || (a < b ? -1 : a > b ? 1 : 0));
+    } catch (err) {
+      return [];
+    }
+  }
+
+  function switchCurrent(id) {
+    const link = `${outDir}/current`;
+    const tmp = `${link}.${pid}`;
+    fs.removeSync(tmp);
+    fs.symlinkSync(`releases/${id}`, tmp);
+    fs.renameSync(tmp, link);
+  }
+
+  // Where to write an output path while a release is staged: paths under outDir, or its
+  // current release, go into the release, so that they switch and roll back with the files
+  // they describe.  Paths outside it are written as they are.
+  function stagedPath(path) {
+    if (!staging) return path;
+    const rel = Path.relative(outDir, path);
+    if (!rel || rel.startsWith('..') || Path.isAbsolute(rel)) return path;
+    return Path.join(staging, rel.replace(/^current(\/|$)/, ''));
+  }
+
+  // Give the staged release its name and make it current.
+  function publish() {
+    let number = Math.max(0, ...releases().map(releaseNumber)) + 1;
+    const releaseId = () => `${String(number).padStart(6, '0')}-${timeNow}`;
+    while (fs.existsSync(`${outDir}/releases/${releaseId()}`)) number++;
+    const id = releaseId();
+    fs.renameSync(staging, `${outDir}/releases/${id}`);
+    staging = null;
+    switchCurrent(id);
+    const linked = previous ? `, ${io.linked} files linked from ${Path.basename(previous)}` : '';
+    logger.log(`Release ${id} is current${linked}.`);
+  }
+
+  // Hashes of the current release's files, from its manifest: {rpath: hash}.
+  var previousManifest = null;
+  function previousHashes() {
+    if (!previousManifest) {
+      previousManifest = {};
+      try {
+        const listed = JSON.parse(fs.readFileSync(`${previous}/recache-manifest.json`)).files;
+        Object.keys(listed).forEach(rpath => (previousManifest[rpath] = listed[rpath].hash));
+      } catch (err) {
+        if (!err.message.startsWith('ENOENT')) logger.warn(err);
+      }
+    }
+    return previousManifest;
+  }
+
+  // Hard link a hashed file, with its sidecars, from the current release into the one being
+  // staged instead of writing it again, or a file that keeps its name when it is unchanged.
+  // False when the current release does not have it.
+  async function linkPrevious(node, cpath) {
+    const {entry} = node;
+    if (!previous || outputDir(entry) !== staging) return false;
+    if (keepsName(entry) && !sameOutput(node, previousHashes()[entry.rpath.replace(/^\//, '')])) return false;
+    const from = `${previous}/${entry.hpath}`;
+    if (!(await fs.pathExists(from))) return false;
+    await fs.mkdirp(Path.dirname(cpath));
+    for (const suffix of ['', '.gz', '.br']) {
+      if (!suffix || (await fs.pathExists(from + suffix))) await fs.link(from + suffix, cpath + suffix);
+    }
+    io.linked++;
+    return true;
+  }
+
+  // Make the release before the current one current again.  Returns an exit code.
+  function rollback() {
+    const list = releases();
+    const current = currentRelease();
+    const at = current ? list.indexOf(Path.basename(current)) : -1;
+    if (at < 1) {
+      logger.error(`rollback: no release before ${current ? Path.basename(current) : 'current'} in ${outDir}/releases`);
+      return 1;
+    }
+    switchCurrent(list[at - 1]);
+    logger.log(`Rolled back: ${list[at]} -> ${list[at - 1]}`);
+    return 0;
+  }
+
+  // Write a hashed file to the cache, unless a file of that name is already there, or one
+  // that keeps its name unless it is unchanged since the last build.  Binary files are
+  // copied by the worker pool.
+  async function processFile(node) {
+    const {entry} = node;
+    const cpath = `${outputDir(entry)}/${entry.hpath}`;
+    const old = state.files[entry.rpath];
+    let ostat;
+    try {
+      ostat = (!keepsName(entry) || (!staging && sameOutput(node, old && old.output))) && (await fs.stat(cpath));
+    } catch (err) {
+      if (!err.message.startsWith('ENOENT')) logger.warn(err);
+    }
+    try {
+      if ((ostat && ostat.isFile()) || (await linkPrevious(node, cpath))) {
+        // Already there: the name is a hash of the content, or the file is unchanged.
+        done[entry.rpath] = true;
+        await compressOutput(entry, cpath, false);
+        return;
+      }
+      if (node.text === undefined && isText(entry)) parseText(node, await fs.readFile(entry.path));
+      if (node.text !== undefined) {
+        const cpathtmp = `${cpath}.${pid}`;
+        if (verbose) logger.log('Writing:', cpath);
+        await fs.outputFile(cpathtmp, outputText(node));
+        await fs.unlink(cpath).catch(() => {});
+        await fs.rename(cpathtmp, cpath);
+      } else {
+        if (verbose) logger.log('Copying:', entry.rpath, cpath);
+        const {size} = await workers().copy(entry.path, cpath);
+        io.copied++;
+        io.bytes += size;
+      }
+      written.push(entry.hpath);
+      done[entry.rpath] = true;
+      await compressOutput(entry, cpath);
+    } catch (err) {
+      io.failed++;
+      logger.error(`${entry.path}: ${err.message}`);
+    }
+  }
+
+  // Write .gz and .br beside an output in the worker pool.  Like the output itself, a sidecar
+  // that is already there is kept, except for files that keep their names and were written.
+  async function compressOutput(entry, cpath, fresh = keepsName(entry)) {
+    if (!compress || !compress.extensions.includes(entry.ext)) return;
+    const {size} = await fs.stat(cpath);
+    if (size < parseSize(compress.minSize)) return;
+    for (const format of compress.formats) {
+      const to = `${cpath}.${format}`;
+      if (!fresh && (await fs.pathExists(to))) continue;
+      if (verbose) logger.log('Compressing:', to);
+      await workers().compress(cpath, to, format);
+      io.compressed++;
+      written.push(`${entry.hpath}.${format}`);
+    }
+  }
+
+  // Report what changed since the last run and what had to be hashed again because of it,
+  // with the old and new names of each rebuilt file.
+  function reportChanges() {
+    const added = files.filter(entry => !state.files[entry.rpath]).length;
+    const removed = Object.keys(state.files).filter(rpath => !mfiles[rpath]).length;
+    const modified = Object.keys(changed).filter(rpath => changed[rpath] === 'changed').length;
+    logger.log(`Files: ${added} added, ${removed} removed, ${modified} changed.`);
+    const list = Object.keys(rebuilt).sort();
+    logger.log(`Rebuilt ${list.length} of ${Object.keys(nodes).length} files.`);
+    if (verbose || list.length <= 50) {
+      list.forEach(rpath => {
+        const {entry} = nodes[rpath];
+        const old = state.files[rpath];
+        const oldpath = old && old.output ? hashedPath(entry, old.output) : null;
+        if (oldpath && oldpath !== entry.hpath) logger.log(`  ${oldpath} -> ${entry.hpath}`);
+        else logger.log(`  ${entry.hpath}`);
+      });
+    }
+  }
+
+  // Save what this run learned for the next one.
+  function saveState(path) {
+    const saved = {settings, files: {}};
+    files.forEach(entry => (saved.files[entry.rpath] = {size: entry.size, mtime: entry.mtime}));
+    Object.keys(nodes).forEach(rpath => {
+      const node = nodes[rpath];
+      Object.assign(saved.files[rpath], {
+        hash: node.hash,
+        refs: node.found,
+        targets: node.refs.map(ref => ref.target),
+        output: hashcache[rpath],
+        digest: digests[rpath],
+        keep: node.entry.keep || undefined,
+      });
+    });
+    try {
+      if (path) fs.outputFileSync(path, JSON.stringify(saved));
+    } catch (err) {
+      logger.error(`state ${path}: ${err}`);
+    }
+    return saved;
+  }
+
+  // Record where every processed file ended up so that anything rendering HTML outside of
+  // recache can resolve assets without scraping the cache directory.
+  function writeManifest(path) {
+    const manifest = {generated: timeNow, files: {}};
+    Object.keys(done)
+      .sort()
+      .forEach(rpath => {
+        const entry = mfiles[rpath];
+        if (!entry || !entry.hpath) return;
+        let size = null;
+        try {
+          size = fs.statSync(`${outputDir(entry)}/${entry.hpath}`).size;
+        } catch (err) {
+          if (!err.message.startsWith('ENOENT')) logger.warn(err);
+        }
+        manifest.files[rpath.replace(/^\//, '')] = {
+          hash: hashcache[rpath] || entry.hash,
+          path: entry.hpath.replace(/^\//, ''),
+          size,
+          entry: entries.includes(rpath),
+          keepName: (!entries.includes(rpath) && keepsName(entry)) || undefined,
+        };
+      });
+    try {
+      fs.outputFileSync(path, JSON.stringify(manifest, null, 1));
+    } catch (err) {
+      logger.error(`manifest ${path}: ${err}`);
+    }
+  }
+
+  // Service worker precache list of the files reachable from the entry points:
+  //   [{url, revision}]
+  // Hashed names change with their content, so their revision is null.  Entry points keep
+  // their names and carry their hash instead.
+  function precacheList({include = [], exclude = ['*.map'], maxSize} = {}) {
+    const limit = maxSize ? parseSize(maxSize) : null;
+    const list = [];
+    const seen = {};
+    const stack = todo.filter(rpath => nodes[rpath]);
+    while (stack.length) {
+      const rpath = stack.pop();
+      if (seen[rpath]) continue;
+      seen[rpath] = true;
+      const {entry, refs} = nodes[rpath];
+      refs.forEach(ref => stack.push(ref.target));
+      if (inlineOnly[rpath]) continue;
+      if ((include.length && !matchesAny(rpath, include)) || matchesAny(rpath, exclude)) continue;
+      if (limit !== null) {
+        let size = entry.size;
+        try {
+          size = fs.statSync(`${outputDir(entry)}/${entry.hpath}`).size;
+        } catch (err) {}
+        if (size > limit) {
+          if (verbose) logger.log(`Not precaching ${rpath}: ${size} bytes`);
+          continue;
+        }
+      }
+      list.push({url: outputUrl(rpath), revision: keepsName(entry) ? hashcache[rpath] : null});
+    }
+    return list.sort((a, b) => (a.url < b.url ? -1 : a.url > b.url ? 1 : 0));
+  }
+
+  // Write the precache list as JSON, or as a module exporting it for a .js or .mjs path.
+  function writePrecache(precache) {
+    const path = stagedPath(precache.path);
+    const list = precacheList(precache);
+    const json = JSON.stringify(list, null, 1);
+    try {
+      fs.outputFileSync(path, /\.m?js$/.test(path) ? `export default ${json};\n` : json);
+      if (verbose) logger.log(`Precache: ${list.length} files in ${path}`);
+    } catch (err) {
+      logger.error(`precache ${path}: ${err}`);
+    }
+  }
+
+  // Write the HTTP caching rules for this build's outputs, as a _headers file, nginx
+  // locations for a .conf path or JSON for a .json one.
+  function writeHeaders(paths) {
+    const outputs = Object.keys(done)
+      .filter(rpath => !mapsDir || outputDir(mfiles[rpath]) !== mapsDir)
+      .map(rpath => ({url: outputUrl(rpath), entry: keepsName(mfiles[rpath])}));
+    const rules = headerRules(outputs);
+    const hashedPattern = ext => `^/${namePattern(opts, ext).regExp.source.substring(1)}`;
+    [].concat(paths).map(stagedPath).forEach(path => {
+      let text = netlifyHeaders(rules);
+      if (/\.json$/.test(path)) text = JSON.stringify(rules, null, 1);
+      else if (/\.conf$/.test(path)) text = nginxLocations(rules, hashedPattern);
+      try {
+        fs.outputFileSync(path, text);
+        if (verbose) logger.log(`Headers: ${rules.length} rules in ${path}`);
+      } catch (err) {
+        logger.error(`headers ${path}: ${err}`);
+      }
+    });
+  }
+
+  // Hash and write everything reachable from the starting points, reusing the state of the
+  // previous build for files that have not changed.  The first build walks the inputs.
+  // With {dryRun: true} nothing is written: not the outputs, state, manifest or history.
+  // A release only becomes current once every one of its files is written.
+  // Resolves to result().
+  async function build(buildOpts = {}) {
+    const {dryRun} = buildOpts;
+    const started = Date.now();
+    if (setupError) throw setupError;
+    if (!mfiles) {
+      state = opts.state ? loadState(opts.state) : {files: {}};
+      walkInputs();
+      indexFiles();
+    }
+    if (!dryRun) fs.mkdirpSync(outDir);
+    written = [];
+    nodes = {};
+    done = {};
+    changed = {};
+    rebuilt = {};
+    hashcache = {};
+    digests = {};
+    outputs = {};
+    shorts = {};
+    notfound = {};
+    missing = [];
+    byUrl = {};
+    dataUris = {};
+    integrities = {};
+    hashing = {};
+    writing = {};
+    io = {files: 0, bytes: 0, hashed: 0, copied: 0, compressed: 0, linked: 0, failed: 0};
+    timeNow = timestampNow();
+    await addNodes(todo.map(rpath => mfiles[rpath]).filter(entry => entry));
+    if (opts.strict && missing.length) {
+      if (opts.notFound && !dryRun) fs.outputFileSync(opts.notFound, JSON.stringify(notfound, null, 1));
+      throw new Error(`${missing.length} references not found:\n${missingList().join('\n')}`);
+    }
+    previous = release && !dryRun ? currentRelease() : null;
+    previousManifest = null;
+    staging = release && !dryRun ? `${outDir}/releases/.staging.${pid}` : null;
+    if (staging) {
+      fs.removeSync(staging);
+      fs.mkdirpSync(staging);
+    }
+    try {
+      const inlined = markInlines();
+      cycles = [];
+      // Components come after those they refer to: wait only for the hashes each one needs,
+      // and with SRI for its targets to be written.  Import maps need every hash, so HTML
+      // entry points go last.
+      const component = async members => {
+        await Promise.all(members.map(rpath => hashing[rpath]));
+        hashComponent(members);
+        if (members.length > 1) cycles.push(members.slice().sort());
+        if (dryRun) return;
+        if (sri) {
+          const targets = [].concat(...members.map(rpath => nodes[rpath].refs.map(ref => ref.target)));
+          await Promise.all(targets.map(rpath => writing[rpath]));
+        }
+        members.filter(rpath => !inlineOnly[rpath]).forEach(rpath => (writing[rpath] = processFile(nodes[rpath])));
+      };
+      // Files that keep their names are not in that order, as their names do not depend on
+      // their content, so with SRI HTML also waits for the scripts and stylesheets of that
+      // kind it refers to.  Any left waiting on each other go in order at the end.
+      const isHtml = rpath => /^\.html?$/.test(nodes[rpath].entry.ext);
+      const ran = {};
+      const settled = (members, rpath) =>
+        !isHtml(rpath) ||
+        nodes[rpath].refs.every(({target}) => isHtml(target) || ran[target] || members.includes(target));
+      const ready = members => !sri || members.every(rpath => settled(members, rpath));
+      let waiting = [];
+      const run = async members => {
+        await component(members);
+        members.forEach(rpath => (ran[rpath] = true));
+        const next = waiting.find(ready);
+        if (next) {
+          waiting = waiting.filter(other => other !== next);
+          await run(next);
+        }
+      };
+      const last = [];
+      for (const members of components()) {
+        if (bare === 'importmap' && members.some(isHtmlEntry)) last.push(members);
+        else if (!ready(members)) waiting.push(members);
+        else await run(members);
+      }
+      for (const members of waiting) await component(members);
+      for (const members of last) {
+        await Promise.all(Object.keys(hashing).map(rpath => hashing[rpath]));
+        await component(members);
+      }
+      await Promise.all(Object.keys(writing).map(rpath => writing[rpath]));
+      written.sort();
+      reportChanges();
+      reportInlines(inlined);
+      reportTime(started);
+      if (dryRun) return result();
+      if (staging && io.failed) {
+        throw new Error(`${io.failed} files could not be written, the current release is unchanged.`);
+      }
+      state = saveState(opts.state);
+      if (opts.notFound) fs.outputFile(opts.notFound, JSON.stringify(notfound, null, 1));
+      if (opts.manifest !== false) writeManifest(stagedPath(opts.manifest || `${outDir}/recache-manifest.json`));
+      if (precache) writePrecache(precache);
+      if (opts.headers) writeHeaders(opts.headers);
+      if (staging) publish();
+      recordBuild(`${outDir}/recache-builds.json`);
+      return result();
+    } finally {
+      // A build that failed, or threw, leaves the current release as it was.
+      if (staging) fs.removeSync(staging);
+      staging = null;
+    }
+  }
+
+  // Each reference that could not be resolved, as path:line:column: kind ref.
+  function missingList() {
+    const texts = {};
+    return missing.map(({entry, start, ref, kind}) => {
+      const node = nodes[entry.rpath];
+      let text = node && node.text;
+      if (text === undefined) {
+        try {
+          text = texts[entry.path] = texts[entry.path] || fs.readFileSync(entry.path, 'utf8');
+        } catch (err) {
+          text = '';
+        }
+      }
+      const {line, column} = lineColumn(text, start);
+      return `  ${entry.path}:${line}:${column}: ${kind} ${ref}`;
+    });
+  }
+
+  // Report how much was read and how fast.
+  function reportTime(started) {
+    const seconds = Math.max(Date.now() - started, 1) / 1000;
+    const mb = io.bytes / (1024 * 1024);
+    const rate = (mb / seconds).toFixed(1);
+    let threads = '';
+    if (io.hashed || io.copied || io.compressed) {
+      const counts = `${io.hashed} hashed, ${io.copied} copied, ${io.compressed} compressed`;
+      threads = ` (${counts} in ${workers().size} threads)`;
+    }
+    logger.log(`Read ${io.files} files, ${mb.toFixed(1)} MB${threads} in ${seconds.toFixed(2)}s: ${rate} MB/s.`);
+  }
+
+  // What a build did: the reference graph, each file's hash, the references that could not
+  // be resolved and the output paths written or copied.
+  //   graph[rpath] = {hash, path, deps: [rpath], refs: [rpath]}
+  function result() {
+    const graph = {};
+    Object.keys(nodes).forEach(rpath => {
+      const node = nodes[rpath];
+      graph[rpath] = {
+        hash: hashcache[rpath],
+        path: node.entry.hpath,
+        deps: node.deps.slice(),
+        refs: node.refs.map(ref => ref.target),
+      };
+    });
+    return {graph, hashes: Object.assign({}, hashcache), notFound: Object.keys(notfound).sort(), written};
+  }
+
+  var cycles = [];
+  var hashing = {}; // rpath -> Promise of a binary file's hash
+  var writing = {}; // rpath -> Promise of its output
+  var io = {files: 0, bytes: 0, hashed: 0, copied: 0, compressed: 0, linked: 0, failed: 0};
+  var pool;
+
+  function workers() {
+    return pool || (pool = createPool(opts.threads));
+  }
+
+  // The reference graph of the last build, see graph.js.  Reads the text of files whose
+  // references came from the state file, for the line numbers.
+  function snapshot() {
+    const graph = {generated: timeNow, entries: todo.filter(rpath => nodes[rpath]), nodes: {}, edges: []};
+    Object.keys(nodes)
+      .sort()
+      .forEach(rpath => {
+        const node = nodes[rpath];
+        const {entry} = node;
+        graph.nodes[rpath] = {hash: hashcache[rpath], content: node.hash, path: entry.hpath, size: entry.size};
+        if (!node.refs.length) return;
+        const text = node.text !== undefined ? node.text : fs.readFileSync(entry.path, 'utf8');
+        const locate = lineLocator(text);
+        node.refs.forEach(({start, end, target, kind}) => {
+          const {line, column} = locate(start);
+          graph.edges.push({from: rpath, to: target, kind, ref: text.substring(start, end), line, column});
+        });
+      });
+    graph.cycles = cycles;
+    return graph;
+  }
+
+  // A dry run build's reference graph.
+  function graph() {
+    return build({dryRun: true}).then(snapshot);
+  }
+
+  // Build history, most recent last: {builds: [{id, time, files: [output paths], sources}]}
+  // where sources maps each hashed output path to the rpath it was built from.
+  function readBuilds(path) {
+    try {
+      return JSON.parse(fs.readFileSync(path)) || {builds: []};
+    } catch (err) {
+      if (!err.message.startsWith('ENOENT')) logger.warn(err);
+    }
+    return {builds: []};
+  }
+
+  // Add this build's reachable outputs to the history that prune keeps files for.
+  function recordBuild(path) {
+    const history = readBuilds(path);
+    const list = Object.keys(done)
+      .map(rpath => mfiles[rpath].hpath.replace(/^\//, ''))
+      .sort();
+    const sources = {};
+    Object.keys(done)
+      .filter(rpath => !keepsName(mfiles[rpath]))
+      .sort()
+      .forEach(rpath => (sources[mfiles[rpath].hpath.replace(/^\//, '')] = rpath.replace(/^\//, '')));
+    // When the build ran, for --keep-age, even when SOURCE_DATE_EPOCH sets timeNow back.
+    const time = Date.now();
+    const last = history.builds[history.builds.length - 1];
+    if (last && JSON.stringify(last.files) === JSON.stringify(list)) {
+      last.time = time;
+      if (!last.sources) last.sources = sources;
+    } else {
+      history.builds.push({id: timeNow, time, files: list, sources});
+    }
+    try {
+      fs.outputFileSync(path, JSON.stringify(history, null, 1));
+    } catch (err) {
+      logger.error(`builds ${path}: ${err}`);
+    }
+  }
+
+  // Hashed names in text, such as a log or a stack trace, back to the rpaths they were built
+  // from, each followed by the builds that wrote it:
+  //   at f (https://example.com/js/app_9be63a__.js:12:5)
+  //   at f (https://example.com/js/app.js:12:5 [build 20201019T200200.000])
+  // records are recache-builds.json histories, or manifests, of this cache and earlier ones,
+  // so that names that prune has dropped from the current history still resolve.  Builds
+  // recorded before their sources were are mapped by the name template.
+  // Throws when a record cannot be read.
+  //   -> {text, resolved: [{name, rpath, builds}], unknown: [hashed names not found]}
+  function symbolicate(text, records = [`${outDir}/recache-builds.json`]) {
+    const byPath = {}; // output path -> {rpath, builds: [ids]}
+    const byName = {}; // base name -> [output paths]
+    const hashedName = namePattern(opts).regExp;
+    records.forEach(path => {
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(path));
+      } catch (err) {
+        throw new Error(`symbolicate: cannot read build records ${path}: ${err.message}`);
+      }
+      const builds = data && data.files && data.generated ? [manifestBuild(data)] : data && data.builds;
+      if (!Array.isArray(builds)) throw new Error(`symbolicate: ${path} is neither a build history nor a manifest.`);
+      builds.forEach(({id, files = [], sources}) => {
+        files.forEach(file => {
+          const rpath = sources ? sources[file] : unhashedName(file, opts);
+          if (!rpath) return;
+          if (!byPath[file]) {
+            byPath[file] = {rpath, builds: []};
+            const name = Path.basename(file);
+            byName[name] = (byName[name] || []).concat(file);
+          }
+          if (!byPath[file].builds.includes(id)) byPath[file].builds.push(id);
+        });
+      });
+    });
+    const resolved = [];
+    const unknown = [];
+    // A path ends at anything that cannot be in a URL path, which leaves :line:column after it.
+    const result = text.replace(/([\w@%+~.\-/]+)((?::\d+){0,2})/g, (match, token, position) => {
+      const parts = token.split('/');
+      const name = parts[parts.length - 1];
+      let file = null;
+      let suffix = name;
+      for (let x = 0; x < parts.length && !file; x++) {
+        suffix = parts.slice(x).join('/');
+        if (byPath[suffix]) file = suffix;
+      }
+      // Served from another directory: the base name, when only one file had it.
+      if (!file && byName[name] && new Set(byName[name].map(path => byPath[path].rpath)).size === 1) {
+        file = byName[name][0];
+        suffix = name;
+      }
+      if (!file) {
+        if (hashedName.test(name) && !unknown.includes(token)) unknown.push(token);
+        return match;
+      }
+      const {rpath, builds} = byPath[file];
+      const ids = builds.slice().sort();
+      resolved.push({name: token, rpath, builds: ids});
+      const from = ids.length > 1 ? `builds ${ids[0]} to ${ids[ids.length - 1]}` : `build ${ids[0]}`;
+      return `${token.substring(0, token.length - suffix.length)}${rpath}${position} [${from}]`;
+    });
+    return {text: result, resolved, unknown};
+  }
+
+  // A manifest as a build: its hashed paths and the rpaths they came from.
+  function manifestBuild({generated, files}) {
+    const sources = {};
+    Object.keys(files).forEach(rpath => {
+      const {path, entry, keepName} = files[rpath];
+      if (path && !entry && !keepName) sources[path] = rpath;
+    });
+    return {id: generated, files: Object.keys(sources), sources};
+  }
+
+  // Delete hashed files that none of the last keepBuilds builds reached, nor any build
+  // recorded within keepAge.  Entry points and other unhashed files are never deleted, and
+  // .gz and .br sidecars go with their files.  Returns an exit code.
+  function prune({keepBuilds = 2, keepAge = '', dryRun = false} = {}) {
+    // A release layout is pruned by release, whether or not this build uses releases.
+    if (release || fs.existsSync(`${outDir}/releases`) || currentRelease()) {
+      return pruneReleases({keepBuilds, keepAge, dryRun});
+    }
+    const buildsPath = `${outDir}/recache-builds.json`;
+    const history = readBuilds(buildsPath);
+    if (!history.builds.length) {
+      logger.error(`prune: no builds recorded in ${buildsPath}`);
+      return 1;
+    }
+    const maxAge = keepAge ? parseAge(keepAge) : null;
+    if (keepAge && maxAge === null) {
+      logger.error(`prune: bad keep age ${keepAge}`);
+      return 1;
+    }
+    // A hashed file's mtime is when it was first written, not when a build last used it, so
+    // age is that of the builds: those recorded within keepAge are kept with the last ones.
+    const now = Date.now();
+    const recent = history.builds.slice(-Math.max(1, keepBuilds));
+    const kept = history.builds.filter(
+      build => recent.includes(build) || (maxAge !== null && now - build.time < maxAge),
+    );
+    const keep = {};
+    kept.forEach(build => build.files.forEach(path => (keep[path] = true)));
+    let count = 0;
+    let bytes = 0;
+    listTree(outDir)
+      .filter(rel => !/^(releases|current)(\/|$)/.test(rel))
+      .filter(rel => isHashedName(rel, opts) && !keep[rel] && !keep[rel.replace(sidecarPattern, '')])
+      .forEach(rel => {
+        const path = Path.join(outDir, rel);
+        const stat = fs.statSync(path);
+        count++;
+        bytes += stat.size;
+        if (dryRun) return logger.log(`Would delete: ${rel}`);
+        if (verbose) logger.log(`Deleting: ${rel}`);
+        fs.unlinkSync(path);
+        // Remove directories left empty.
+        for (let dir = Path.dirname(path); dir !== outDir && dir !== '.'; dir = Path.dirname(dir)) {
+          try {
+            fs.rmdirSync(dir);
+          } catch (err) {
+            break;
+          }
+        }
+      });
+    const verb = dryRun ? 'Would delete' : 'Deleted';
+    logger.log(`${verb} ${count} files, ${bytes} bytes, keeping the outputs of ${kept.length} builds.`);
+    if (!dryRun) {
+      history.builds = kept;
+      fs.outputFileSync(buildsPath, JSON.stringify(history, null, 1));
+    }
+    return 0;
+  }
+
+  // Check a built cache: each reference in its text files has to name a file that is there,
+  // and not by the name it had before hashing when it was written under a hashed name.  Bare
+  // import specifiers have to be in the import map of one of its HTML files.  Logs and
+  // returns the problems: [{file, line, column, ref, message}]
+  function verify() {
+    const problems = [];
+    const report = (file, text, start, ref, message) => {
+      const {line, column} = lineColumn(text, start);
+      problems.push({file, line, column, ref, message});
+      logger.error(`${file}:${line}:${column}: ${message}`);
+    };
+    const dir = currentRelease() || outDir;
+    let list;
+    try {
+      list = listTree(dir);
+    } catch (err) {
+      logger.error(`verify: ${err.message}`);
+      return [{file: dir, line: 0, column: 0, ref: '', message: err.message}];
+    }
+    const present = {};
+    list.concat(mapsDir && fs.existsSync(mapsDir) ? listTree(mapsDir) : []).forEach(rel => (present[rel] = true));
+    // Hashed outputs by the names they were made from.
+    const hashed = {};
+    list.forEach(rel => {
+      const name = !sidecarPattern.test(rel) && unhashedName(rel, opts);
+      if (name && !hashed[name]) hashed[name] = rel;
+    });
+    const texts = {};
+    list
+      .filter(rel => plugins.forExt(Path.extname(rel)) && !/(^|\/)recache-[a-z]+\.json$/.test(rel))
+      .forEach(rel => (texts[rel] = fs.readFileSync(Path.join(dir, rel), 'utf8')));
+    // Import maps: their specifiers, and where they are so that their text is not taken for references.
+    const specifiers = [];
+    const mapBodies = {};
+    Object.keys(texts)
+      .filter(rel => /\.html?$/.test(rel))
+      .forEach(rel => {
+        const text = texts[rel];
+        htmlTags(text)
+          .filter(tag => tag.body && tag.name === 'script' && /^importmap$/i.test(htmlAttr(tag, 'type') || ''))
+          .forEach(({body}) => {
+            (mapBodies[rel] = mapBodies[rel] || []).push(body);
+            let map;
+            try {
+              map = JSON.parse(text.substring(body.start, body.end));
+            } catch (err) {
+              return report(rel, text, body.start, '', `import map: ${err.message}`);
+            }
+            [map.imports || {}].concat(Object.values(map.scopes || {})).forEach(imports => {
+              Object.keys(imports).forEach(specifier => {
+                specifiers.push(specifier);
+                const url = `${imports[specifier]}`;
+                const path = url.substring(1);
+                if (!url.startsWith('/') || present[path] || present[`${path}index.html`]) return;
+                report(rel, text, text.indexOf(JSON.stringify(url), body.start), url, `import map: ${url} not found`);
+              });
+            });
+          });
+      });
+    const isMapped = ms => specifiers.some(key => key === ms || (key.endsWith('/') && ms.startsWith(key)));
+    let count = 0;
+    Object.keys(texts).forEach(rel => {
+      const text = texts[rel];
+      const bodies = mapBodies[rel] || [];
+      plugins.extract(text, Path.extname(rel), {dataAttributes, jsonPointers}).forEach(({start, ref, kind}) => {
+        if (kind === 'source' || (kind === 'string' && !ref.includes('/'))) return;
+        if (bodies.some(body => start >= body.start && start < body.end)) return;
+        const qx = ref.search(/[?#]/);
+        const ms = qx < 0 ? ref : ref.substring(0, qx);
+        if (!ms || ignore[ms]) return;
+        count++;
+        if (importKinds.includes(kind) && isBareSpecifier(ms)) {
+          if (!isMapped(ms)) report(rel, text, start, ref, `${kind} ${ms}: bare specifier not in an import map`);
+          return;
+        }
+        let target = ms.startsWith('/') ? ms.substring(1) : Path.posix.join(Path.posix.dirname(rel), ms);
+        if (!target || target.endsWith('/')) target += 'index.html';
+        let decoded = target;
+        try {
+          decoded = decodeURI(target);
+        } catch (err) {}
+        if (ignore[target]) return;
+        if (hashed[target] && !isHashedName(target, opts)) {
+          report(rel, text, start, ref, `${kind} ${ms}: unhashed name of ${hashed[target]}`);
+        } else if (!present[target] && !present[decoded] && !present[`${target}/index.html`]) {
+          report(rel, text, start, ref, `${kind} ${ms}: not found`);
+        }
+      });
+    });
+    const summary = `Verified ${count} references in ${Object.keys(texts).length} files`;
+    logger.log(`${summary}: ${problems.length ? `${problems.length} problems` : 'no problems'}.`);
+    return problems;
+  }
+
+  // Delete all but the last keepBuilds releases and the current one, unless they are younger
+  // than keepAge.  Files they share with the releases kept stay, being hard links.
+  function pruneReleases({keepBuilds, keepAge, dryRun}) {
+    const maxAge = keepAge ? parseAge(keepAge) : null;
+    if (keepAge && maxAge === null) {
+      logger.error(`prune: bad keep age ${keepAge}`);
+      return 1;
+    }
+    const list = releases();
+    const current = currentRelease();
+    const kept = list.slice(-Math.max(1, keepBuilds));
+    const now = Date.now();
+    let count = 0;
+    list
+      .filter(id => !kept.includes(id) && (!current || id !== Path.basename(current)))
+      .forEach(id => {
+        const dir = `${outDir}/releases/${id}`;
+        if (maxAge !== null && now - fs.statSync(dir).mtimeMs < maxAge) return;
+        count++;
+        if (dryRun) return logger.log(`Would delete: releases/${id}`);
+        if (verbose) logger.log(`Deleting: releases/${id}`);
+        fs.removeSync(dir);
+      });
+    logger.log(`${dryRun ? 'Would delete' : 'Deleted'} ${count} releases, keeping ${list.length - count}.`);
+    return 0;
+  }
+
+  // Rebuild whenever a file below the inputs changes.  Events are collected for a moment so
+  // that saving several files rebuilds once.  Files that were only modified are updated in
+  // the file list; anything added or removed walks the inputs again.
+  function watchInputs() {
+    let paths = {};
+    let timer = null;
+    let building = false;
+    // What the build writes itself, which can be inside an input, must not start another.
+    const outDirs = [outDir, mapsDir].filter(dir => dir).map(dir => Path.resolve(dir) + Path.sep);
+    const outFiles = [opts.state, opts.notFound, opts.manifest, precache && precache.path]
+      .concat(opts.headers || [])
+      .filter(path => path)
+      .map(path => Path.resolve(path));
+    const rebuild = () => {
+      timer = null;
+      if (building) {
+        timer = setTimeout(rebuild, 200);
+        return;
+      }
+      const list = Object.keys(paths);
+      paths = {};
+      const byPath = {};
+      files.forEach(entry => (byPath[Path.normalize(entry.path)] = entry));
+      const walk = list.some(path => {
+        const entry = byPath[path];
+        let stat;
+        try {
+          stat = fs.statSync(path);
+        } catch (err) {
+          return !!entry;
+        }
+        if (!entry) return stat.isFile();
+        entry.size = stat.size;
+        entry.mtime = stat.mtimeMs;
+        return false;
+      });
+      logger.log(`Changed: ${list.join(' ')}`);
+      if (walk) {
+        walkInputs();
+        indexFiles();
+      }
+      building = true;
+      build()
+        .catch(err => logger.error(err))
+        .then(() => (building = false));
+    };
+    const changedPath = path => {
+      const full = Path.resolve(path);
+      if (outFiles.includes(full) || outDirs.some(dir => full.startsWith(dir))) return;
+      paths[Path.normalize(path)] = true;
+      if (!timer) timer = setTimeout(rebuild, 200);
+    };
+    inputs.forEach(input => {
+      let stat;
+      try {
+        stat = fs.statSync(input.path);
+      } catch (err) {
+        return logger.warn(`watch ${input.path}: ${err.message}`);
+      }
+      if (stat.isFile()) {
+        // Its directory: editors that save to a new file and rename it over this one replace
+        // the file, and a watch on the file itself stops there.
+        const name = Path.basename(input.path);
+        fs.watch(Path.dirname(input.path), (event, filename) => filename === name && changedPath(input.path));
+        return;
+      }
+      const listener = (event, filename) => filename && changedPath(Path.join(input.path, filename));
+      try {
+        fs.watch(input.path, {recursive: true}, listener);
+      } catch (err) {
+        logger.warn(`watch ${input.path}: ${err.message}, watching only the top directory.`);
+        fs.watch(input.path, listener);
+      }
+    });
+    logger.log(`Watching ${inputs.length} inputs.`);
+  }
+
+  return {build, graph, prune, rollback, symbolicate, verify, watch: watchInputs};
+}
+
+// Build once, resolving to the result of the build.
+function buildCache(opts) {
+  return createCache(opts).build();
+}
+
+module.exports = {buildCache, createCache, listTree, isHashedName};
@@ -0,0 +1,116 @@
+/**
+   @license Copyright (c) 2016-2020 Yebo Technologies Inc.
+   @prettier
+
+   Node style resolution of bare module specifiers, such as 'lit' or '@scope/pkg/sub.js',
+   for the browser: node_modules directories are searched upward from the importing file,
+   and a package's exports are matched with the browser, import, module and default
+   conditions, falling back to its module and main fields.
+
+     resolvePackage('lit/decorators.js', '/work/site/js') -> '/work/node_modules/lit/decorators.js'
+*/
+const Path = require('path');
+const fs = require('fs');
+
+const exportConditions = ['browser', 'import', 'module', 'default'];
+
+// True for specifiers that are neither relative, absolute nor URLs.
+function isBareSpecifier(specifier) {
+  return !!specifier && !/^(\.{0,2}\/|[a-zA-Z][a-zA-Z0-9+.\-]*:)/.test(specifier);
+}
+
+// 'lit/decorators.js' -> ['lit', './decorators.js'], '@scope/pkg' -> ['@scope/pkg', '.']
+function splitSpecifier(specifier) {
+  const parts = specifier.split('/');
+  const length = specifier[0] === '@' ? 2 : 1;
+  const rest = parts.slice(length).join('/');
+  return [parts.slice(0, length).join('/'), rest ? `./${rest}` : '.'];
+}
+
+function isFile(path) {
+  try {
+    return fs.statSync(path).isFile();
+  } catch (err) {
+    return false;
+  }
+}
+
+// A file, trying the extensions and index files that bundlers and CommonJS accept.
+function fileAt(path) {
+  const candidates = [path, `${path}.js`, `${path}.mjs`, `${path}/index.js`, `${path}/index.mjs`];
+  return candidates.find(isFile) || null;
+}
+
+// A conditional exports target: the first condition, in the package's order, that we
+// accept and that leads somewhere.  * is replaced by what a pattern matched.
+function exportTarget(target, star) {
+  if (typeof target === 'string') return target.replace(/\*/g, star);
+  if (Array.isArray(target)) {
+    for (const item of target) {
+      const found = exportTarget(item, star);
+      if (found) return found;
+    }
+    return null;
+  }
+  if (target && typeof target === 'object') {
+    for (const key of Object.keys(target)) {
+      const found = exportConditions.includes(key) && exportTarget(target[key], star);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+// The target of a subpath in a package.json exports field, or null when it is not exported.
+function resolveExports(exports, subpath) {
+  const isMap = exports && typeof exports === 'object' && !Array.isArray(exports);
+  if (!isMap || !Object.keys(exports).some(key => key.startsWith('.'))) {
+    return subpath === '.' ? exportTarget(exports, '') : null;
+  }
+  if (exports[subpath] !== undefined) return exportTarget(exports[subpath], '');
+  // The longest matching pattern or directory wins.
+  let best = null;
+  Object.keys(exports).forEach(key => {
+    const star = key.indexOf('*');
+    let match = null;
+    if (star >= 0) {
+      const [before, after] = [key.substring(0, star), key.substring(star + 1)];
+      if (subpath.startsWith(before) && subpath.endsWith(after) && subpath.length >= key.length - 1) {
+        match = subpath.substring(before.length, subpath.length - after.length);
+      }
+    } else if (key.endsWith('/') && subpath.startsWith(key)) {
+      match = subpath.substring(key.length);
+    }
+    if (match !== null && (!best || key.length > best.key.length)) best = {key, match};
+  });
+  if (!best) return null;
+  const target = exportTarget(exports[best.key], best.match);
+  return target && best.key.endsWith('/') && !best.key.includes('*') ? target + best.match : target;
+}
+
+// The file a subpath of a package resolves to, or null.
+function resolveInPackage(dir, pkg, subpath) {
+  if (pkg.exports !== undefined) {
+    const target = resolveExports(pkg.exports, subpath);
+    return target ? fileAt(Path.join(dir, target)) : null;
+  }
+  if (subpath !== '.') return fileAt(Path.join(dir, subpath));
+  const main = [pkg.module, pkg.main].find(field => typeof field === 'string');
+  return (main && fileAt(Path.join(dir, main))) || fileAt(Path.join(dir, 'index.js'));
+}
+
+// Resolve a bare specifier imported from a file in fromDir to a file, or null.
+function resolvePackage(specifier, fromDir) {
+  const [name, subpath] = splitSpecifier(specifier);
+  for (let dir = Path.resolve(fromDir); ; dir = Path.dirname(dir)) {
+    const pkgDir = Path.join(dir, 'node_modules', name);
+    let pkg = null;
+    try {
+      pkg = JSON.parse(fs.readFileSync(Path.join(pkgDir, 'package.json')));
+    } catch (err) {}
+    if (pkg) return resolveInPackage(pkgDir, pkg, subpath);
+    if (Path.dirname(dir) === dir) return null;
+  }
+}
+
+module.exports = {isBareSpecifier, resolvePackage, resolveExports, fileAt};
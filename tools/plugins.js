@@ -0,0 +1,172 @@
+/**
+   @license Copyright (c) 2016-2020 Yebo Technologies Inc.
+   @prettier
+
+   File type plugins.  A plugin claims extensions, whose files are then read as text, finds
+   the references in them and may rewrite them itself:
+
+     module.exports = {
+       name: 'level',
+       extensions: ['.lvl'],
+       // References as {start, end, ref, kind}, where text.substring(start, end) === ref.
+       extract(text, {ext, dataAttributes, jsonPointers}) { ... },
+       // Optional: apply edits [{start, end, text, ref, kind}], sorted by start, each
+       // replacing a reference with the text of its hashed URL.  By default the text is
+       // spliced in place.
+       rewrite(text, edits) { ... },
+       // Optional: the banner comment to put before the text, e.g. `# ${note}\n`.
+       comment(note, text) { ... },
+     };
+
+   Kinds are the plugin's own, as in extract.js, but 'string' marks candidates that are
+   only taken when they contain a /, and 'source' references are never reported missing.
+   Later plugins take extensions from earlier ones, so configured plugins override the
+   built in ones.
+*/
+const process = require('process');
+const Path = require('path');
+const {
+  extractHtml,
+  extractCss,
+  extractJs,
+  extractQuoted,
+  extractJson,
+  extractSourceMap,
+  extractSourceMapUrl,
+  isExternal,
+  directives,
+} = require('./extract');
+
+// Wavefront material texture statements, whose last argument is a file name.
+const mtlStatements = /^[ \t]*(?:map_\w+|bump|disp|decal|refl)[ \t]+(?:[^\n]*[ \t])?([^\s]+)[ \t]*\r?$/gm;
+
+function extractMtl(text) {
+  const pattern = new RegExp(mtlStatements.source, 'gm');
+  const refs = [];
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const end = match.index + match[0].replace(/[ \t]*\r?$/, '').length;
+    refs.push({start: end - match[1].length, end, ref: match[1], kind: 'texture'});
+  }
+  return refs;
+}
+
+// Rewrite JSON string values, escaping what is put in them so that the output stays valid.
+function rewriteJson(text, edits) {
+  for (let x = edits.length - 1; x >= 0; x--) {
+    const {start, end, text: insert} = edits[x];
+    text = text.substring(0, start) + JSON.stringify(insert).slice(1, -1) + text.substring(end);
+  }
+  return text;
+}
+
+// A web manifest's start_url is usually a page or a route rather than a file.
+const manifestPointers = ['/icons/*/src', '/screenshots/*/src', '/shortcuts/*/icons/*/src', '/start_url'];
+function extractManifest(text) {
+  return extractJson(text, 0, [], manifestPointers).filter(
+    ({ref, kind}) => kind !== 'start_url' || /\.\w+$/.test(ref.split(/[?#]/)[0]),
+  );
+}
+
+const builtins = [
+  {
+    name: 'html',
+    extensions: ['.html', '.htm'],
+    extract: (text, {dataAttributes}) => extractHtml(text, 0, [], {dataAttributes}),
+    comment: note => `<!-- ${note} -->\n`,
+  },
+  {
+    name: 'svg',
+    extensions: ['.svg'],
+    extract: (text, {dataAttributes = []}) =>
+      extractHtml(text, 0, [], {dataAttributes: dataAttributes.concat('xlink:href')}),
+  },
+  {
+    name: 'css',
+    extensions: ['.css'],
+    extract: text => extractSourceMapUrl(text, 0, extractCss(text)),
+    comment: note => `/* ${note} */\n`,
+  },
+  {
+    name: 'js',
+    extensions: ['.js', '.mjs'],
+    extract: text => extractSourceMapUrl(text, 0, extractJs(text)),
+    // Some .js files are JSON.
+    comment: (note, text) => (text[0] !== '{' ? `// ${note}\n` : ''),
+  },
+  {
+    name: 'sourcemap',
+    extensions: ['.map'],
+    extract: text => extractSourceMap(text),
+  },
+  {
+    name: 'mtl',
+    extensions: ['.mtl'],
+    extract: text => extractMtl(text),
+  },
+  {
+    // Data URIs, which glTF embeds buffers and images as, are external.
+    name: 'gltf',
+    extensions: ['.gltf'],
+    extract: text => extractJson(text, 0, [], ['/buffers/*/uri', '/images/*/uri']),
+    rewrite: rewriteJson,
+  },
+  {
+    name: 'webmanifest',
+    extensions: ['.webmanifest'],
+    extract: extractManifest,
+    rewrite: rewriteJson,
+  },
+  {
+    // JSON pointer patterns mark the references, otherwise any value that looks like a file.
+    name: 'json',
+    extensions: ['.json'],
+    extract: (text, {jsonPointers}) =>
+      extractJson(text, 0, [], jsonPointers && jsonPointers.length ? jsonPointers : null),
+    rewrite: rewriteJson,
+  },
+  {
+    name: 'quoted',
+    extensions: ['.dae', '.xml'],
+    extract: text => extractQuoted(text),
+  },
+];
+
+// A plugin, or a module path relative to dir exporting one or a list of them.
+function loadPlugins(plugin, dir = process.cwd()) {
+  const loaded = typeof plugin === 'string' ? require(Path.resolve(dir, plugin)) : plugin;
+  const list = [].concat(loaded);
+  list.forEach(item => {
+    const name = (item && item.name) || plugin;
+    if (!item || !Array.isArray(item.extensions) || typeof item.extract !== 'function') {
+      throw new Error(`Plugin ${name} needs extensions and an extract function.`);
+    }
+  });
+  return list;
+}
+
+// The plugins for a build: the built in ones, then those given, which may be module paths.
+//   forExt(ext)  the plugin for an extension, or undefined for binary files
+//   extract(text, ext, opts)  local references, sorted by start, leaving out those that
+//     recache-ignore-file and recache-ignore-next-line comments ignore
+//   names  of the plugins given
+function pluginRegistry(plugins = [], dir) {
+  const byExt = {};
+  const given = [].concat(...plugins.map(plugin => loadPlugins(plugin, dir)));
+  builtins.concat(given).forEach(plugin => {
+    plugin.extensions.forEach(ext => (byExt[ext.toLowerCase()] = plugin));
+  });
+  const forExt = ext => byExt[(ext || '').toLowerCase()];
+  const extract = (text, ext, opts = {}) => {
+    const plugin = forExt(ext);
+    const {ignoreFile, ignored} = directives(text);
+    if (!plugin || ignoreFile) return [];
+    return plugin
+      .extract(text, Object.assign({ext}, opts))
+      .filter(ref => !isExternal(ref.ref) && !ignored.some(({start, end}) => ref.start >= start && ref.start < end))
+      .sort((a, b) => a.start - b.start);
+  };
+  return {forExt, extract, names: given.map(plugin => plugin.name || plugin.extensions.join(','))};
+}
+
+module.exports = {builtins, pluginRegistry, extractMtl};
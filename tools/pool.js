@@ -0,0 +1,134 @@
+/**
+   @license Copyright (c) 2016-2020 Yebo Technologies Inc.
+   @prettier
+
+   A worker_threads pool that hashes, copies and compresses files as streams, so binary
+   assets are read in parallel and off the main thread, without md5sum or cp.
+
+     const pool = createPool(4);
+     pool.hash(path, {algorithm: 'md5', encoding: 'hex'}).then(({digest, size}) => ...);
+     pool.copy(from, to).then(({size}) => ...);
+     pool.compress(from, to, 'gz' or 'br').then(({size}) => ...);
+
+   This file is also the workers' script.
+*/
+const {Worker, isMainThread, parentPort, threadId} = require('worker_threads');
+const crypto = require('crypto');
+const os = require('os');
+const process = require('process');
+const Path = require('path');
+const fs = require('fs');
+const {pipeline} = require('stream');
+const zlib = require('zlib');
+
+// Tasks a worker streams at once: reading is mostly waiting.
+const tasksPerWorker = 4;
+
+// Hash a file as it streams through.
+function hashFile(path, {algorithm, encoding}, done) {
+  const hash = crypto.createHash(algorithm);
+  let size = 0;
+  fs.createReadStream(path)
+    .on('data', chunk => {
+      size += chunk.length;
+      hash.update(chunk);
+    })
+    .on('error', done)
+    .on('end', () => done(null, {digest: hash.digest(encoding), size}));
+}
+
+// Stream a file through transforms to a temporary name, then rename it, so that a partly
+// written file is never in place.  size is that of the input.
+function streamFile(from, transforms, to, done) {
+  const tmp = `${to}.${process.pid}.${threadId}`;
+  fs.mkdir(Path.dirname(to), {recursive: true}, err => {
+    if (err) return done(err);
+    let size = 0;
+    const input = fs.createReadStream(from).on('data', chunk => (size += chunk.length));
+    pipeline(input, ...transforms, fs.createWriteStream(tmp), err => {
+      if (err) return fs.unlink(tmp, () => done(err));
+      fs.rename(tmp, to, err => done(err, {size}));
+    });
+  });
+}
+
+// Compression at the highest levels: outputs are written once and served many times.
+function compressor(format) {
+  if (format === 'br') {
+    const {BROTLI_PARAM_QUALITY, BROTLI_MAX_QUALITY} = zlib.constants;
+    return zlib.createBrotliCompress({params: {[BROTLI_PARAM_QUALITY]: BROTLI_MAX_QUALITY}});
+  }
+  return zlib.createGzip({level: zlib.constants.Z_BEST_COMPRESSION});
+}
+
+if (!isMainThread) {
+  parentPort.on('message', ({id, op, path, to, hash, format}) => {
+    const reply = (err, result) => parentPort.postMessage(err ? {id, error: err.message} : {id, result});
+    if (op === 'hash') hashFile(path, hash, reply);
+    else if (op === 'compress') streamFile(path, [compressor(format)], to, reply);
+    else streamFile(path, [], to, reply);
+  });
+}
+
+// Workers are started as tasks arrive, up to threads, one per CPU by default.  Idle
+// workers do not keep the process running.
+function createPool(threads) {
+  const size = Math.max(1, threads || os.cpus().length);
+  const workers = [];
+  const queue = [];
+  const pending = {};
+  let nextId = 0;
+
+  const finish = (worker, {id, error, result}) => {
+    const task = pending[id];
+    delete pending[id];
+    if (!--worker.tasks) worker.unref();
+    if (error) task.reject(new Error(error));
+    else task.resolve(result);
+  };
+  const spawn = () => {
+    const worker = new Worker(__filename);
+    worker.tasks = 0;
+    worker.on('message', message => {
+      finish(worker, message);
+      dispatch();
+    });
+    worker.on('error', err => {
+      // Fail whatever it was doing and carry on with the others.
+      workers.splice(workers.indexOf(worker), 1);
+      Object.keys(pending)
+        .filter(id => pending[id].worker === worker)
+        .forEach(id => finish(worker, {id, error: err.message}));
+      dispatch();
+    });
+    workers.push(worker);
+    return worker;
+  };
+  const dispatch = () => {
+    while (queue.length) {
+      let worker = workers.reduce((a, b) => (!a || b.tasks < a.tasks ? b : a), null);
+      if ((!worker || worker.tasks) && workers.length < size) worker = spawn();
+      if (worker.tasks >= tasksPerWorker) return;
+      const task = queue.shift();
+      task.worker = worker;
+      if (!worker.tasks++) worker.ref();
+      worker.postMessage(task.message);
+    }
+  };
+  const run = message =>
+    new Promise((resolve, reject) => {
+      message.id = nextId++;
+      pending[message.id] = {message, resolve, reject};
+      queue.push(pending[message.id]);
+      dispatch();
+    });
+
+  return {
+    size,
+    hash: (path, {algorithm = 'md5', encoding = 'hex'} = {}) => run({op: 'hash', path, hash: {algorithm, encoding}}),
+    copy: (path, to) => run({op: 'copy', path, to}),
+    compress: (path, to, format) => run({op: 'compress', path, to, format}),
+  };
+}
+
+module.exports = {createPool};
@@ -1,9 +1,15 @@
-// #!/usr/bin/env node
+#!/usr/bin/env node
 /**
    @license Copyright (c) 2016-2020 Yebo Technologies Inc.
    @prettier
 
    Usage: recache path path:lib path@
+          recache prune [--keep-builds N] [--keep-age 7d] [--dry-run]
+          recache graph [--graph recache-graph.json] path ...   (or a build with --dry-run)
+          recache why old-graph.json [new-graph.json | path ...]
+          recache verify [-o cache]
+          recache rollback [-o cache]
+          recache symbolicate [-o cache] [recache-builds.json ...] [log ...]
 
    Build a cache based on a file and directory list.
    Each file on the command line is copied along with every file it references in
@@ -12,83 +18,328 @@
    The resulting files, other than the anchors, include a hash in the filename.
    This hash is a Merkel Hash of all of the dependent files.
 
+   graph writes the reference graph as JSON and Graphviz DOT without writing the cache.
+   why compares two graphs, or a saved graph with the current one, and shows the chain
+     of references from an entry point down to each file whose change renamed the others.
+   verify checks that every reference in a built cache names a file that is there, by its
+     hashed name, and exits 1 when one does not.  --strict fails a build that has
+     references it cannot resolve.
+   With --release each build goes to <out>/releases/<n>-<time> and <out>/current is switched to
+     it once it is complete; rollback switches current back to the release before it.
+   symbolicate rewrites the hashed names in logs, or stdin, back to the paths they were built
+     from and the builds that wrote them, from this cache's build records or those given.
+
+   The work is done by keaton.js; this is its command line.
+
 */
 /* jshint debug:true, camelcase:false, maxcomplexity:false */
 /* globals */
-const crypto = require('crypto');
 const cli = require('cli'); // https://www.npmjs.com/package/cli
-const {execSync} = require('child_process');
-const moment = require('moment');
+const {execFileSync} = require('child_process');
 const tmp = require('tmp');
 const process = require('process');
 const Path = require('path');
 const fs = require('fs-extra');
+const {createCache, listTree} = require('./keaton');
+const {graphDot, explainChange} = require('./graph');
 
-const pid = process.pid;
 var options = cli.parse({
   entries: ['e', 'Defined entry points, e.g.: index.html,tester.html', 'string', ''],
   verbose: ['v', 'Verbose logging', 'boolean', false],
   loops: ['l', 'Verbose circular dependency logging', 'boolean', false],
+  out: ['o', 'Output directory', 'string', 'cache'],
+  manifest: ['m', 'Asset manifest output path, default: <out>/recache-manifest.json', 'string', ''],
+  state: [false, 'Incremental build state file', 'string', 'recache.state.json'],
+  banner: [false, 'Comment added to written text files, not hashed, e.g.: "Updated: ${time}"', 'string', ''],
+  release: [false, 'Write each build to <out>/releases/<time> and switch <out>/current to it', 'boolean', false],
+  watch: ['w', 'Rebuild when input files change', 'boolean', false],
+  strict: [false, 'Fail the build when references are not found and not ignored', 'boolean', false],
+  'verify-reproducible': [false, 'Build twice into temporary directories and fail if they differ', 'boolean', false],
+  config: [false, 'Configuration file', 'string', 'recache.config.json'],
+  roots: [false, 'Additional resolution roots, e.g.: /assets,/games', 'string', ''],
+  'data-attrs': [false, 'HTML data attributes holding references, e.g.: data-src,data-bg', 'string', ''],
+  'json-pointers': [false, 'JSON pointers of references in .json files, e.g.: /levels/*/map', 'string', ''],
+  sri: [false, 'Add integrity attributes to script and stylesheet tags, e.g.: sha384', 'string', ''],
+  modulepreload: [false, 'Add modulepreload links for the imports of module scripts', 'boolean', false],
+  'maps-dir': [false, 'Write source maps here instead of the output directory', 'string', ''],
+  precache: [false, 'Service worker precache list output, .json or .js', 'string', ''],
+  'precache-include': [false, 'Only precache files matching these globs, e.g.: js/**,*.css', 'string', ''],
+  'precache-exclude': [false, 'Do not precache files matching these globs, default: *.map', 'string', ''],
+  'precache-max-size': [false, 'Do not precache files larger than this, e.g.: 2m', 'string', ''],
+  threads: [false, 'Worker threads hashing and copying binary files, default: one per CPU', 'int', 0],
+  hash: [false, 'Hash algorithm for names: md5, sha1 or sha256, default: md5', 'string', ''],
+  'hash-encoding': [false, 'Hash encoding in names: hex or base64url, default: hex', 'string', ''],
+  'hash-length': [false, 'Hash characters in names, default: 6', 'int', 0],
+  'name-template': [false, 'Output names, default: [name]_[hash]__[ext], e.g.: [name].[hash][ext]', 'string', ''],
+  headers: [false, 'Caching header rules outputs: _headers, nginx .conf or .json, e.g.: cache/_headers', 'string', ''],
+  inline: [false, 'Inline CSS url() and HTML img src files smaller than this as data URIs, e.g.: 2k', 'string', ''],
+  'inline-ext': [false, 'Only inline these extensions, default: .png,.gif,.jpg,.svg,...', 'string', ''],
+  bare: [false, 'Resolve bare imports through node_modules: rewrite or importmap', 'string', ''],
+  compress: [false, 'Write compressed sidecars in these formats, e.g.: gz,br', 'string', ''],
+  'compress-ext': [false, 'Only compress these extensions, default: .html,.css,.js,.json,.svg,...', 'string', ''],
+  'compress-min-size': [false, 'Only compress files at least this large, default: 1k', 'string', ''],
+  'keep-builds': [false, 'prune: keep the outputs of this many recent builds or releases', 'int', 2],
+  'keep-age': [false, 'prune: keep the outputs of builds younger than this, e.g.: 7d, 12h, 30m', 'string', ''],
+  'dry-run': [false, 'prune: only list what would be deleted; build: only write the graph', 'boolean', false],
+  graph: [false, 'graph: JSON output path, the DOT file is written beside it', 'string', 'recache-graph.json'],
 });
-const ignoreCircular = ['index.html', 'lib/app-layout/app-scroll-effects/app-scroll-effects-behavior.html'];
+// A leading command word, otherwise a build.
+const commands = ['prune', 'graph', 'why', 'verify', 'rollback', 'symbolicate'];
+var command = commands.includes(cli.args[0]) ? cli.args.shift() : 'build';
+if (command === 'build' && options['dry-run']) command = 'graph';
+// why takes one or two saved graphs before any inputs.
+var graphFiles = [];
+while (command === 'why' && graphFiles.length < 2 && /\.json$/.test(cli.args[0] || '')) {
+  graphFiles.push(cli.args.shift());
+}
+// symbolicate takes build records, then the logs to read instead of stdin.
+var records = [];
+var logFiles = [];
+while (command === 'symbolicate' && /\.json$/.test(cli.args[0] || '')) records.push(cli.args.shift());
+if (command === 'symbolicate') logFiles = cli.args.splice(0);
 
 var verbose = options.verbose;
-var loops = options.loops;
 var entries = options.entries && options.entries.split(',');
 entries = entries || ['index.html', 'tester.html'];
-console.log(entries);
+// symbolicate writes the log to stdout.
+if (command !== 'symbolicate') console.log(entries);
+
+// Run this same build twice with the same build time into temporary directories, then
+// compare the two trees file by file.  Everything a build writes goes into its directory, so
+// that the real outputs are left alone and compared too.  Watching would never return.
+function verifyReproducible() {
+  const args = process.argv.slice(2).filter(arg => !['--verify-reproducible', '-w', '--watch'].includes(arg));
+  const outputs = dir => {
+    const other = Path.join(dir, 'recache-outputs');
+    const list = ['--manifest', Path.join(dir, 'recache-manifest.json')];
+    list.push('--graph', Path.join(other, Path.basename(options.graph)));
+    if (precache.path) list.push('--precache', Path.join(other, Path.basename(precache.path)));
+    if (options['maps-dir']) list.push('--maps-dir', Path.join(other, 'maps'));
+    if (headers && headers.length) {
+      list.push('--headers', headers.map((path, x) => Path.join(other, `${x}`, Path.basename(path))).join(','));
+    }
+    return list;
+  };
+  const env = Object.assign({}, process.env);
+  if (!env.SOURCE_DATE_EPOCH) env.SOURCE_DATE_EPOCH = `${Math.floor(Date.now() / 1000)}`;
+  const dirs = [tmp.dirSync({unsafeCleanup: true}), tmp.dirSync({unsafeCleanup: true})];
+  const differences = [];
+  try {
+    // Each build starts from scratch, with its own state file.
+    dirs.forEach(dir => {
+      console.log(`Building into ${dir.name}`);
+      const state = tmp.tmpNameSync({postfix: '.json'});
+      try {
+        const redirected = ['--out', dir.name, '--state', state, ...outputs(dir.name)];
+        execFileSync(process.execPath, [__filename, ...args, ...redirected], {
+          env,
+          stdio: ['ignore', 'ignore', 'inherit'],
+        });
+      } finally {
+        fs.removeSync(state);
+      }
+    });
+    // The build history records when each build ran, so it always differs.
+    const [a, b] = dirs.map(dir => listTree(dir.name).filter(rel => rel !== 'recache-builds.json'));
+    a.filter(rel => !b.includes(rel)).forEach(rel => differences.push(`only in first build: ${rel}`));
+    b.filter(rel => !a.includes(rel)).forEach(rel => differences.push(`only in second build: ${rel}`));
+    a.filter(rel => b.includes(rel)).forEach(rel => {
+      const [ca, cb] = dirs.map(dir => fs.readFileSync(Path.join(dir.name, rel)));
+      if (!ca.equals(cb)) differences.push(`content differs: ${rel}`);
+    });
+    console.log(`Compared ${a.length} files.`);
+  } catch (err) {
+    differences.push(`build failed: ${err.message}`);
+  } finally {
+    dirs.forEach(dir => dir.removeCallback());
+  }
+  differences.forEach(difference => console.error(difference));
+  if (differences.length) console.error(`Not reproducible: ${differences.length} differences.`);
+  else console.log('Reproducible.');
+  return differences.length ? 1 : 0;
+}
 
 try {
   cli.enable('help', 'version', 'status', 'glob', 'catchall');
 } catch (err) {
   console.error(err);
 }
-var files = []; // List of all files in mentioned directories
-var notfound = {}; // Apparent paths that don't exist.
+// Load list of files to ignore.  These are often in comments, internal to a bundle file,
+// or otherwise not expected to actually exist.
 var ignore = {};
-var readFiles = false;
-// Start with index.html, only processing referenced files.
-var todo = entries;
-
-function hashSync(path) {
-  var ret = '0';
-  try {
-    ret = execSync(`md5sum '${path}'`)
-      .toString()
-      .substring(0, 6);
-  } catch (err) {
-    console.error(`md5 ${path}`);
+try {
+  const data = fs.readFileSync('recache.ignore');
+  if (data) {
+    ignore = JSON.parse(data) || {};
+    console.log(`Ignore list:`, ignore);
   }
-  return ret && (ret === '0' || ret.length === 6) ? ret : null;
+} catch (err) {
+  if (!err.message.startsWith('ENOENT')) console.warn(err);
 }
-
-function hashString(content) {
-  var hash = '0';
-  if (content) {
-    hash = crypto
-      .createHash('md5')
-      .update(content)
-      .digest('hex')
-      .substring(0, 6);
+// Paths to leave out, one glob per line as in .gitignore: dist/, *.psd, !keep.psd
+var ignorePatterns = [];
+try {
+  ignorePatterns = fs.readFileSync('.recacheignore', 'utf8').split(/\r?\n/);
+  if (verbose) console.log(`.recacheignore:`, ignorePatterns.filter(line => line.trim()));
+} catch (err) {
+  if (!err.message.startsWith('ENOENT')) console.warn(err);
+}
+// Load reference resolution rules, see keaton.js:
+//   {"roots": ["/assets"], "aliases": {"@shared/": "games/sharedAssets-3js/"}, "search": [...]}
+var config = {};
+try {
+  const data = fs.readFileSync(options.config);
+  if (data) {
+    config = JSON.parse(data) || {};
+    if (verbose) console.log(`Config ${options.config}:`, config);
   }
-  return hash;
+} catch (err) {
+  if (!err.message.startsWith('ENOENT')) console.warn(err);
 }
+var resolve = {
+  roots: (config.roots || []).concat(options.roots ? options.roots.split(',') : []),
+  aliases: config.aliases || {},
+  search: config.search || [],
+};
+// Naming: {"hash": {"algorithm": "sha256", "encoding": "base64url", "length": 10}, "nameTemplate": "[name].[hash][ext]"}
+var hash = Object.assign({}, config.hash);
+if (options.hash) hash.algorithm = options.hash;
+if (options['hash-encoding']) hash.encoding = options['hash-encoding'];
+if (options['hash-length']) hash.length = options['hash-length'];
+// Compressed sidecars: {"compress": {"formats": ["gz", "br"], "extensions": [".js"], "minSize": "1k"}}
+var compress = config.compress && Object.assign({}, config.compress);
+if (options.compress) compress = Object.assign({}, compress, {formats: options.compress.split(',')});
+if (compress && options['compress-ext']) compress.extensions = options['compress-ext'].split(',');
+if (compress && options['compress-min-size']) compress.minSize = options['compress-min-size'];
+var dataAttributes = (config.dataAttributes || []).concat(
+  options['data-attrs'] ? options['data-attrs'].split(',') : [],
+);
+// Data URIs: {"inline": {"maxSize": "2k", "extensions": [".png", ".svg"]}}
+var inline = config.inline;
+if (inline && typeof inline !== 'object') inline = inline === true ? {} : {maxSize: inline};
+else if (inline) inline = Object.assign({}, inline);
+if (options.inline) inline = Object.assign({}, inline, {maxSize: options.inline});
+if (inline && options['inline-ext']) inline.extensions = options['inline-ext'].split(',');
+// References in JSON: {"jsonPointers": ["/levels/*/map", "/sprites/**/image"]}
+var jsonPointers = (config.jsonPointers || []).concat(
+  options['json-pointers'] ? options['json-pointers'].split(',') : [],
+);
+// Precache settings: {"precache": {"path": "sw-precache.js", "include": [], "exclude": [], "maxSize": "2m"}}
+var precache = Object.assign({}, config.precache);
+if (options.precache) precache.path = options.precache;
+if (options['precache-include']) precache.include = options['precache-include'].split(',');
+if (options['precache-exclude']) precache.exclude = options['precache-exclude'].split(',');
+if (options['precache-max-size']) precache.maxSize = options['precache-max-size'];
+
+var headers = options.headers ? options.headers.split(',') : config.headers;
+
+if (options['verify-reproducible']) process.exit(verifyReproducible());
 
-function hashStringArray(contents) {
-  return hashString(contents.join('\n'));
+var cache = createCache({
+  inputs: cli.args,
+  entries,
+  outDir: options.out,
+  ignore,
+  ignorePatterns,
+  resolve,
+  dataAttributes,
+  jsonPointers,
+  banner: options.banner,
+  state: options.state,
+  manifest: options.manifest,
+  notFound: 'recache.notfound',
+  strict: options.strict,
+  release: options.release,
+  verbose,
+  loops: options.loops,
+  sri: options.sri,
+  modulepreload: options.modulepreload,
+  mapsDir: options['maps-dir'],
+  precache: precache.path ? precache : null,
+  threads: options.threads,
+  hash,
+  nameTemplate: options['name-template'] || config.nameTemplate,
+  compress,
+  inline,
+  headers,
+  // File type plugins: {"plugins": ["./tools/level-plugin.js"]}, relative to the config file.
+  plugins: (config.plugins || []).map(path => Path.resolve(Path.dirname(options.config), path)),
+  bare: options.bare || config.bare,
+});
+
+// Save the dry run graph as JSON and DOT.
+async function writeGraph(path) {
+  const graph = await cache.graph();
+  fs.outputFileSync(path, JSON.stringify(graph, null, 1));
+  fs.outputFileSync(path.replace(/\.json$/, '') + '.dot', graphDot(graph));
+  const counts = [Object.keys(graph.nodes).length, graph.edges.length, graph.cycles.length];
+  console.log(`Graph: ${counts[0]} files, ${counts[1]} references, ${counts[2]} cycles in ${path}`);
 }
 
-// Todo: It would be better to feed this to a cpio subprocess.
-// Plus fallback Javascript alternative for Windows.
-function cp(from, to) {
-  var ret = -1;
-  try {
-    ret = execSync(`mkdir -p '${Path.dirname(to)}' 2>/dev/null;cp '${from}' '${to}'`).toString();
-  } catch (err) {
-    console.error(`cp ${from} ${to}: ${err}`);
-    ret = -1;
+// Explain the differences between a saved graph and another, or the current one.
+async function why() {
+  if (!graphFiles.length) {
+    console.error('why: expected a saved graph, e.g.: recache why recache-graph.json');
+    return 1;
   }
-  return ret;
+  const [before, after] = graphFiles.map(path => JSON.parse(fs.readFileSync(path)));
+  const causes = explainChange(before, after || (await cache.graph()));
+  if (!causes.length) console.log('No hash changed because of a file of its own.');
+  causes.forEach(({rpath, reason, before: old, after: hash, chain}) => {
+    console.log(`${rpath}: ${reason}${old ? ` (${old} -> ${hash})` : ''}`);
+    console.log(`  ${chain.map(link => (link.line ? `${link.rpath}:${link.line}` : link.rpath)).join(' -> ')}`);
+  });
+  return 0;
+}
+
+// Rewrite the hashed names in logs, or stdin, to the rpaths and builds they came from.
+async function symbolicate() {
+  const text = logFiles.length
+    ? logFiles.map(path => fs.readFileSync(path, 'utf8')).join('')
+    : await new Promise((resolve, reject) => {
+        const chunks = [];
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', chunk => chunks.push(chunk));
+        process.stdin.on('end', () => resolve(chunks.join('')));
+        process.stdin.on('error', reject);
+      });
+  const {text: result, resolved, unknown} = cache.symbolicate(text, records.length ? records : undefined);
+  process.stdout.write(result);
+  console.error(`Symbolicated ${resolved.length} names, ${unknown.length} hashed names not in the build records.`);
+  // Names from pruned builds or other sites are expected in logs, so they are only listed.
+  unknown.forEach(name => console.error(`  unknown: ${name}`));
+  return 0;
+}
+
+const failed = err => {
+  console.error(verbose ? err : err.message);
+  process.exitCode = 1;
+};
+if (command === 'graph') {
+  writeGraph(options.graph).catch(failed);
+} else if (command === 'why') {
+  why()
+    .then(code => (process.exitCode = code))
+    .catch(failed);
+} else if (command === 'verify') {
+  process.exitCode = cache.verify().length ? 1 : 0;
+} else if (command === 'rollback') {
+  process.exitCode = cache.rollback();
+} else if (command === 'symbolicate') {
+  symbolicate()
+    .then(code => (process.exitCode = code))
+    .catch(failed);
+} else if (command === 'prune') {
+  process.exitCode = cache.prune({
+    keepBuilds: options['keep-builds'],
+    keepAge: options['keep-age'],
+    dryRun: options['dry-run'],
+  });
+} else {
+  cache
+    .build()
+    .then(() => options.watch && cache.watch())
+    .catch(failed);
 }
 
 // let lcontent = fs.readFileSync(fix.path);
@@ -122,458 +373,6 @@ function whenReadyFn(fn, done, delayp, startp, lastReportp) {
   }, delay);
 }
 
-// Try to read file cache to avoid enumerating all files too often.
-try {
-  const filesdata = fs.readFileSync('recache.file.cache');
-  if (filesdata) {
-    files = JSON.parse(filesdata) || [];
-    if (files.length) readFiles = true;
-  }
-} catch (err) {
-  if (!err.message.startsWith('ENOENT')) console.warn(err);
-}
-// Load list of files to ignore.  These are often in comments, internal to a bundle file,
-// or otherwise not expected to actually exist.
-try {
-  const data = fs.readFileSync('recache.ignore');
-  if (data) {
-    ignore = JSON.parse(data) || {};
-    console.log(`Ignore list:`, ignore);
-  }
-} catch (err) {
-  if (!err.message.startsWith('ENOENT')) console.warn(err);
-}
-var rpathcache = {};
-var allTodo = {};
-// Process argument starting points:
-if (!files.length) {
-  const items = [];
-  try {
-    cli.args.forEach(argr => {
-      const starIdx = argr.lastIndexOf('@');
-      const all = starIdx > -1;
-      if (all) {
-        argr = argr.slice(0, starIdx);
-        allTodo[argr] = true;
-      }
-      const maps = argr.split(':');
-      const arg = maps[0];
-      const astat = fs.statSync(arg);
-      if (astat) {
-        const s = arg.split('/');
-        let nrpath = argr;
-        while (nrpath.startsWith('../')) {
-          nrpath = nrpath.substring(3);
-        }
-        const rpath = maps.length > 1 ? maps[maps.length - 1] : nrpath;
-        s.pop();
-        const dir = astat.isFile() ? s.join('/') : arg;
-        const entry = {all, dir, path: arg, rpath, map: rpath, children: []};
-        console.log(`From: ${argr} -> rpath:${rpath} ${all ? 'all' : ''}`);
-        items.push(entry);
-      }
-    });
-  } catch (err) {
-    console.error(err);
-  }
-  // Process all found files, adding new files to the list as they are found.
-  for (let x = 0; x < items.length; x++) {
-    const entry = items[x];
-    const {all, dir, path, rpath, map} = entry;
-    let stat;
-    const s = path.split('/');
-    let last = path;
-    if (s && s.length) last = s[s.length - 1];
-    if (ignore[path]) console.log(`Ignoring: ${path}`);
-    if (!(last === '.git' || last === '.local-chromium') && !ignore[path]) {
-      try {
-        stat = fs.statSync(path);
-      } catch (err) {
-        if (verbose) console.log(`stat error: ${path}`);
-      }
-      if (stat && stat.isFile()) {
-        let sext = '';
-        const sexty =
-          (((sext = '.js') || (sext = '.mjs')) && path.endsWith(sext)) ||
-          ((sext = '.html') && path.endsWith(sext)) ||
-          ((sext = '.css') && path.endsWith(sext)) ||
-          ((sext = '.dae') && path.endsWith(sext)) ||
-          ((sext = '.json') && path.endsWith(sext));
-        // console.log(`${path}`);
-        const ext = rpath.substring(rpath.lastIndexOf('.'));
-        const dirname = Path.dirname(rpath);
-        const rpathbp = Path.basename(rpath);
-        const base = (dirname !== '.' ? `${dirname}/` : '') + rpathbp.substring(0, rpathbp.length - ext.length);
-        const rec = {dir, path, rpath, base, ext, map, sexty};
-        if (!rpathcache[rpath]) {
-          rpathcache[rpath] = true;
-          files.push(rec);
-        }
-        if (files.length < 100 || files.length % 10000 === 0) {
-          if (verbose) console.log(`Files: ${files.length} rpath:${rec.rpath} dir:${rec.dir}`);
-        }
-      } else if (stat && stat.isDirectory() /* && !rpathcache[rpath] */) {
-        // console.log(`dir:${path}`);
-        try {
-          const dfs = fs.readdirSync(path);
-          dfs.forEach(df => {
-            // console.log(`dir: ${entry.path} push: ${rpath}/${df}`);
-            if (df !== 'node_modules' && df !== 'bower_components' && df !== '.git') {
-              items.push({
-                all,
-                dir: `${dir}/${df}`,
-                path: `${path}/${df}`,
-                rpath: `${rpath}/${df}`,
-                map,
-                base: `${path}/${df}`,
-                ext: '',
-              });
-              if (all) todo.push(`${rpath}/${df}`);
-              if (!df.includes('.')) {
-                if (!Array.isArray(entry.children)) {
-                  entry.children = [];
-                }
-                entry.children.push(df);
-              }
-            }
-          });
-          // console.log(items);
-        } catch (err) {
-          console.error(err);
-        }
-      }
-    }
-  }
-}
-if (verbose) console.log(files.length);
-// console.log(files);
-// If we didn't read the file list, then save it for possible use next time.
-if (!readFiles) fs.outputFile('recache.file.cache', JSON.stringify(files, null, 1));
-
-var dstat;
-try {
-  dstat = fs.statSync('cache');
-} catch (err) {}
-if (!dstat || !dstat.isDirectory()) fs.mkdirSync('cache');
-
-if (verbose) console.log('Writing files');
-var count = 0;
-var mfiles = {};
-var filenames = [];
-var hashcache = {};
-var specialHash = {};
-var plainhashcache = {};
-// Create lookup index that translates from relative path to actual item.
-for (let x = 0; x < files.length; x++) {
-  const entry = files[x];
-  if (!mfiles[entry.rpath]) {
-    mfiles[entry.rpath] = entry;
-    mfiles[`/${entry.rpath}`] = entry;
-    const rpath = entry.rpath;
-    if (!filenames[rpath]) {
-      // Already saw a priority for this.
-      filenames.push(rpath);
-    }
-  }
-}
-
-// Start with index.html, only processing referenced files.  And selected directories.
-var inProgress = {};
-var pending = {}; // Pending rpath watched -> rpath to update
-var invPending = {}; // rpaths to update, for deciding to wait to update
-var done = {};
-var processFile;
-
-// Process each line, looking for file references to recurse on and update.
-var linefn = (line, entry, out, selfReferences) => {
-  if (line.includes('sourceMappingURL=')) return '';
-  let nline = line;
-  let x,
-    skip = false;
-  let pres;
-  for (x = 0; line[x] === ' '; x++);
-  if (line[x] === '/' && line[x + 1] === '/') skip = true;
-  if (!skip) {
-    var pattern = /['"`](async:)?(module:)?(async:)?(css:)?([$][{].*[}])?(= )?([a-zA-Z0-9/\.@% _()+,=\-]{1,}[.][a-zA-Z0-9\- _()]+)[`'"\\]/g;
-    var match;
-    while ((match = pattern.exec(line)) !== null) {
-      const async = match[2];
-      const module = match[3];
-      const async2 = match[4];
-      const css = match[5];
-      const eqs = match[6];
-      let ms = match[7];
-      if (
-        match &&
-        !ignore[ms] &&
-        !ms.startsWith('//') &&
-        !ms.startsWith('http://') &&
-        !ms.startsWith('https://') &&
-        !eqs
-      ) {
-        const sms = ms;
-        let path = entry.base.substring(0, entry.base.lastIndexOf('/'));
-        if (ms.startsWith('./')) ms = ms.substring(2);
-        while (ms.startsWith('../')) {
-          ms = ms.substring(3);
-          path = path.substring(0, path.lastIndexOf('/'));
-          // console.log(`adjust:${path}/${ms} start:${entry.path}`);
-        }
-        const apath = `/games/sharedAssets-3js`;
-        var fix =
-          mfiles[ms] ||
-          mfiles[`${path}/${ms}`] ||
-          mfiles[`${apath}/${ms}`] ||
-          //        mfiles[`${apath}/sound/${ms}`] ||
-          mfiles[`${apath}/particles/${ms}`] ||
-          mfiles[`${apath}/particles/particles128/${ms}`] ||
-          mfiles[`/games/${ms}`] ||
-          mfiles[`/games/libs-3js/thrax/${ms}`] ||
-          mfiles[`/games/libs-3js/examples/js/${ms}`] ||
-          mfiles[`/games/libs-3js/thrax/three86/${ms}`] ||
-          mfiles[`/assets/${ms}`];
-        if (!fix) {
-          var mf = mfiles[apath];
-          if (mf)
-            for (let cx = 0; !fix && cx < mf.children.length; cx++) {
-              const mc = mf.children[cx];
-              if (mc) fix = mfiles[`${apath}/${mc}/${ms}`];
-            }
-        }
-        // .js files often have their name as a string which would cause infinite recursion.
-        if (fix) {
-          if (fix.rpath === entry.rpath) {
-            // selfReferences.push(line);
-            fix = null;
-          }
-        }
-        if (!fix && ms.includes('/')) {
-          var sline = line.substring(0, 100);
-          if (verbose)
-            console.log(
-              `Could not find: ${ms} or ${path}/${ms} base:${entry.base} ms:${sms} in ${entry.path} line:${sline}`,
-              JSON.stringify(entry, null, 1).substring(0, 100),
-            );
-          notfound[`${path}/${ms}`] = true;
-        }
-        if (fix) {
-          // console.log(`fix:`, `"${fix.rpath}"`);
-          // Hash, then write file if not seen before.
-          let lhash = specialHash[fix.rpath] || hashcache[fix.rpath];
-          // if (fix.rpath.includes('mwc-chip-set.js')) debugger;
-          if (!lhash) {
-            // lhash = hashSync(fix.cpath);
-            // hashcache[entry.rpath] = `${lhash}`;
-            pres = processFile(fix);
-            if (pres === 'pending' ) {
-              console.log(`    while:${entry.rpath} circular ref to parent:${fix.rpath}`);
-              let ar = pending[fix.rpath];
-              if (!ar) pending[fix.rpath] = ar = [];
-              ar.push(entry);
-              invPending[entry.rpath] = true;
-              // Compute the hash of the current file with the plain (unmodified)
-              // hash of the circular parent.  This file will get reprocessed later
-              // But still retain the same plain hash name even though this reference
-              // will point to the actual hash-updated file.
-              lhash = plainhashcache[fix.rpath];
-            } else
-              lhash = specialHash[fix.rpath] || hashcache[fix.rpath];
-            if (!lhash && !entries.includes(fix.rpath)) {
-              console.error(`hash was not found after processing:${fix.rpath}`);
-            }
-          }
-          if (lhash) {
-            // Could be an apparent loop, but which may not be. i.e. tester.html
-            let hpath = `${fix.base}_${lhash}__${fix.ext}`;
-            if (entries.includes(fix.rpath)) hpath = `${fix.base}${fix.ext}`;
-            fix.hash = lhash;
-            fix.hpath = hpath;
-            const slash = fix.hpath[0] === '/' ? '' : '/';
-            const saveLastIndex = pattern.lastIndex;
-            nline = nline.replace(sms, `${slash}${fix.hpath}`);
-            pattern.lastIndex = saveLastIndex;
-            if (verbose) console.log(`${entry.rpath}: ${line.substring(0, 60)} -> ${nline.substring(0, 60)}`);
-            if (!done[fix.rpath] && pres !== 'pending' && !invPending[fix.rpath] &&
-                !entries.includes(fix.rpath)) {
-              // console.log(`${entry.rpath}: todo: ${fix.rpath}`);
-              // todo.push(`${fix.rpath}`);
-              console.error(`${fix.rpath} should be done but is not.`);
-            }
-          }
-        }
-      }
-    }
-  }
-  out.push(nline);
-  return pres; // pending?
-};
-
-function timestampNow() {
-  return moment.utc().format('YYYYMMDDTHHmmss.SSS');
-}
-
-var timeNow;
-
-function processFile(entry, pendingOk) {
-  // Handle circular JS references:
-  // In deeper file, compute hash of already in-progress file without include
-  //   path hash updates to generate hash of deeper file.
-  // Put file on a pending list for the in-progress file.
-  // When in-progress file is completed and hash is computed, updaate the pending
-  //   deeper file with in-progress file resulting filename, but don't update hash further.
-  // Double circular references won't work: imports of 2 in-progress parents would fail.
-  //   Probably could use same method, but have to manage 2 pending changes.
-
-  // Don't recurse into entry points which are probably not import statements.
-  // if (entry.rpath.includes('mwc-chip-set.js')) debugger;
-  if (Object.keys(inProgress).length && entries.includes(entry.rpath)) return "entry";
-  if (inProgress[entry.rpath] && !pendingOk) {
-    let ok = false;
-    ok = ignoreCircular.includes(entry.rpath);
-    if ((verbose || loops) && !ok) {
-      let list = '';
-      Object.keys(inProgress).forEach(key => (list += `\n  ${key}`));
-      console.warn(`    ${entry.rpath} is already in progress. ${list}`);
-    }
-    let cpath;
-    try {
-      let hash = plainhashcache[entry.rpath];
-      if (!hash) {
-        hash = hashSync(entry.path);
-
-        plainhashcache[entry.rpath] = hash; // {hash:`${hash}`, entry: entry};
-      }
-      // cpath = `cache/${entry.base}_${hash}__${entry.ext}`;
-    } catch (err) {}
-    return 'pending';
-  }
-  if (done[entry.rpath]) {
-    if (verbose) console.warn(`${entry.rpath} is already done.`);
-    return 'done';
-  }
-  inProgress[entry.rpath] = true;
-  if (entry.sexty && fs.statSync(entry.path).size < 1024 * 1024 * 5) {
-    let rcontent;
-    try {
-      rcontent = fs.readFileSync(entry.path);
-    } catch (err) {
-      console.log(err);
-    }
-    if (rcontent) {
-      // const hash = hashSync(entry.cpath);
-      // hashcache[entry.rpath] = `${hash}`;
-      const content = rcontent.toString().split('\n');
-      const out = [];
-      if ((entry.path.endsWith('.html') || entry.path.endsWith('.css')))
-        out.push(`<!-- Updated: ${timeNow} -->`);
-      if ((entry.path.endsWith('.js') || entry.path.endsWith('.js')) &&
-          (content[0].length < 1 || content[0][0] !== '{'))
-        out.push(`// Updated: ${timeNow}`);
-      let comeBackLater = false;
-      try {
-        for (let y = 0; y < content.length; y++) {
-          if (linefn(content[y], entry, out) === 'pending')
-            comeBackLater = true;
-        }
-      } catch (err) {
-        console.log(err);
-      }
-      var output = out.join('\n');
-      var hash;
-      if (comeBackLater) { // This file is on pending list now.
-        specialHash[entry.rpath] = hashString(output);
-      } else if (pendingOk) { // We're doing pending update.
-        hash = specialHash[entry.rpath];
-        hashcache[entry.rpath] = hash;
-      } else {
-        hash = specialHash[entry.rpath] || hashString(output);
-        hashcache[entry.rpath] = hash;
-      }
-      if (!comeBackLater) {
-        let cpath = `cache/${entry.base}_${hash}__${entry.ext}`;
-        const cpathtmp = `cache/${entry.base}_${hash}__${entry.ext}.${pid}`;
-        if (entries.includes(entry.rpath)) cpath = `cache/${entry.base}${entry.ext}`;
-        let ostat;
-        try {
-          ostat = !entries.includes(entry.rpath) && fs.statSync(cpath);
-        } catch (err) {}
-        try {
-          if (!(ostat && ostat.isFile())) {
-            if (verbose) console.log('Writing:', cpath);
-            fs.outputFileSync(cpathtmp, output, err => err && console.error(err));
-            try {
-              fs.unlinkSync(cpath);
-            } catch (err) {}
-            fs.renameSync(cpathtmp, cpath);
-            /*
-              try {
-              ret = execSync(`mv '${cpathtmp}' '${cpath}'`).toString();
-              } catch (err) {
-              console.error(`mv ${cpathtmp} ${cpath}: ${err}`);
-              ret = -1;
-              }
-            */
-          }
-          done[entry.rpath] = true;
-        } catch (err) {
-          console.error(err);
-        }
-      }
-    }
-  } else {
-    let cpath;
-    try {
-      let hash = hashcache[entry.rpath];
-      if (!hash) {
-        hash = hashSync(entry.path);
-        hashcache[entry.rpath] = `${hash}`;
-      }
-      cpath = `cache/${entry.base}_${hash}__${entry.ext}`;
-    } catch (err) {}
-    try {
-      let ostat;
-      try {
-        ostat = fs.statSync(cpath);
-      } catch (err) {
-        if (!err.message.startsWith('ENOENT')) console.warn(err);
-      }
-      if (!(ostat && ostat.isFile())) {
-        if (verbose) console.log('Copying:', entry.rpath, cpath);
-        cp(entry.path, cpath);
-      }
-    } catch (err) {
-      console.error(err);
-    }
-    done[entry.rpath] = true;
-  }
-  delete inProgress[entry.rpath];
-  const pentry = pending[entry.rpath];
-  if (pentry) {
-    while (pentry.length) {
-      const ent = pentry.shift();
-      console.log(`    pending: Processing ${ent.rpath}`);
-      delete inProgress[ent.rpath];
-      delete invPending[ent.rpath];
-      delete done[ent.rpath];
-      processFile(ent, true);
-    }
-  }
-  delete pending[entry.rpath];
-  return 'processed';
-}
-
-timeNow = timestampNow();
-
-for (let x = 0; x < todo.length; x++) {
-  const tod = todo[x];
-  const entry = mfiles[tod];
-  if (entry) {
-    processFile(entry);
-  }
-}
-
-fs.outputFile('recache.notfound', JSON.stringify(notfound, null, 1));
-
 /*
 function buildSearch(substrings) {
   if (verbose) console.log('buildSearch');